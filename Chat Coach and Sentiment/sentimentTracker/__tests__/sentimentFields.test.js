@@ -0,0 +1,72 @@
+import { resolveSentimentFields, validateSentimentFields } from '../sentimentFields';
+
+const MESSAGING_SESSION = {
+    apiName: 'MessagingSession',
+    label: 'Messaging Session',
+    fields: {
+        SentimentRating__c: { apiName: 'SentimentRating__c', dataType: 'Picklist', updateable: true },
+        ChatSentiment__c: { apiName: 'ChatSentiment__c', dataType: 'TextArea', updateable: true },
+        SentimentScore__c: { apiName: 'SentimentScore__c', dataType: 'Double', updateable: true },
+        SentimentEmotions__c: { apiName: 'SentimentEmotions__c', dataType: 'MultiPicklist', updateable: true },
+        Status: { apiName: 'Status', dataType: 'Picklist', updateable: false },
+        CreatedDate: { apiName: 'CreatedDate', dataType: 'DateTime', updateable: false }
+    }
+};
+
+describe('sentimentFields', () => {
+    it('uses the package fields unless others are configured', () => {
+        expect(resolveSentimentFields('VoiceCall')).toMatchObject({ rating: 'SentimentRating__c', justification: 'Call_Sentiment__c' });
+        expect(resolveSentimentFields('MessagingSession', '', '  ')).toMatchObject({ rating: 'SentimentRating__c', justification: 'ChatSentiment__c' });
+        expect(resolveSentimentFields('Case', 'Mood__c', ' Mood_Notes__c ')).toMatchObject({ rating: 'Mood__c', justification: 'Mood_Notes__c' });
+        expect(resolveSentimentFields('Case').justification).toBe('Sentiment_Justification__c');
+    });
+
+    it('accepts fields that exist with the right types', () => {
+        const result = validateSentimentFields(MESSAGING_SESSION, resolveSentimentFields('MessagingSession'));
+
+        expect(result).toEqual({
+            error: '',
+            fields: {
+                rating: 'SentimentRating__c',
+                justification: 'ChatSentiment__c',
+                score: 'SentimentScore__c',
+                confidence: null,
+                emotions: 'SentimentEmotions__c'
+            },
+            canEdit: true
+        });
+    });
+
+    it('fixes the casing of hand-typed field names', () => {
+        const result = validateSentimentFields(MESSAGING_SESSION, { rating: 'sentimentrating__c', justification: 'CHATSENTIMENT__C' });
+
+        expect(result.fields).toMatchObject({ rating: 'SentimentRating__c', justification: 'ChatSentiment__c' });
+    });
+
+    it('reports missing fields and unsupported types', () => {
+        expect(validateSentimentFields(MESSAGING_SESSION, { rating: 'SentimentRating__c', justification: 'Call_Sentiment__c' }).error)
+            .toBe("The justification field Call_Sentiment__c doesn't exist on Messaging Session, or you don't have access to it.");
+        expect(validateSentimentFields(MESSAGING_SESSION, { rating: 'CreatedDate', justification: 'ChatSentiment__c' }))
+            .toMatchObject({ fields: null, canEdit: false });
+        expect(validateSentimentFields(MESSAGING_SESSION, { rating: 'CreatedDate', justification: 'ChatSentiment__c' }).error)
+            .toContain('Use a Picklist or String field');
+    });
+
+    it('skips default detail fields the object lacks but reports configured ones', () => {
+        const defaults = resolveSentimentFields('MessagingSession');
+        const configured = resolveSentimentFields('MessagingSession', '', '', { confidence: 'Confidence__c' });
+
+        expect(defaults.optional).toEqual(['score', 'confidence', 'emotions']);
+        expect(validateSentimentFields(MESSAGING_SESSION, defaults).fields.confidence).toBe(null);
+        expect(validateSentimentFields(MESSAGING_SESSION, configured).error)
+            .toBe("The confidence field Confidence__c doesn't exist on Messaging Session, or you don't have access to it.");
+        expect(validateSentimentFields(MESSAGING_SESSION, { ...defaults, score: 'ChatSentiment__c', optional: [] }).error)
+            .toContain('Use a Double field');
+    });
+
+    it('shows read-only fields without allowing edits', () => {
+        const result = validateSentimentFields(MESSAGING_SESSION, { rating: 'Status', justification: 'ChatSentiment__c' });
+
+        expect(result).toMatchObject({ error: '', canEdit: false });
+    });
+});
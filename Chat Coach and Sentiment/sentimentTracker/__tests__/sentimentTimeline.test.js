@@ -0,0 +1,82 @@
+import {
+    isCustomerEntry,
+    scoreUtterance,
+    ratingForScore,
+    buildTimeline,
+    layoutSparkline
+} from '../sentimentTimeline';
+
+function customer(seq, message) {
+    return { seq: seq, actorType: 'EndUser', actorName: 'Customer', message: message };
+}
+
+function agent(seq, message) {
+    return { seq: seq, actorType: 'Agent', actorName: 'Agent', message: message };
+}
+
+describe('sentimentTimeline', () => {
+    it('only scores what the customer says', () => {
+        expect(isCustomerEntry(customer(1, 'Hi'))).toBe(true);
+        expect(isCustomerEntry(agent(2, 'Hi'))).toBe(false);
+        expect(isCustomerEntry(null)).toBe(false);
+    });
+
+    it('scores polarity, intensity and negation', () => {
+        expect(scoreUtterance('Thank you, that was really helpful!').score > 0.5).toBe(true);
+        expect(scoreUtterance('This is the third time I am calling, absolutely ridiculous').score < -0.5).toBe(true);
+        expect(scoreUtterance('I am not happy').score < 0).toBe(true);
+        expect(scoreUtterance('not bad').score > 0).toBe(true);
+        expect(scoreUtterance('never happy')).toMatchObject({ terms: ['happy'] });
+        expect(scoreUtterance('never happy').score < 0).toBe(true);
+        expect(scoreUtterance('My account number is 1234')).toEqual({ score: 0, terms: [] });
+        expect(scoreUtterance('waste of time').terms).toEqual(['waste of time']);
+    });
+
+    it('rates scores as Positive, Neutral or Negative', () => {
+        expect(ratingForScore(0.5)).toBe('Positive');
+        expect(ratingForScore(scoreUtterance('ok').score)).toBe('Neutral');
+        expect(ratingForScore(-0.2)).toBe('Negative');
+    });
+
+    it('adds a point every N customer utterances and a partial one for the rest', () => {
+        const entries = [
+            customer(1, 'Hi there'),
+            agent(2, 'How can I help?'),
+            customer(3, 'My order is late'),
+            customer(4, 'It has a tracking number'),
+            customer(5, 'Okay')
+        ];
+        const timeline = buildTimeline(entries, 2);
+
+        expect(timeline.length).toBe(2);
+        expect(timeline[0].utterances.map(utterance => utterance.seq)).toEqual([1, 3]);
+        expect(timeline[1].utterances.map(utterance => utterance.seq)).toEqual([4, 5]);
+        expect(buildTimeline([], 3)).toEqual([]);
+    });
+
+    it('reports swings with the utterances that drove them', () => {
+        const entries = [
+            customer(1, 'Hello'),
+            customer(2, 'This is terrible, I am so frustrated'),
+            customer(3, 'Still waiting and it is not working'),
+            customer(4, 'Perfect, that fixed it, thank you so much!')
+        ];
+        const timeline = buildTimeline(entries, 1);
+
+        expect(timeline[0]).toMatchObject({ delta: 0, isSwing: false, drivers: [] });
+        expect(timeline[1]).toMatchObject({ rating: 'Negative', isSwing: true });
+        expect(timeline[1].drivers[0].seq).toBe(2);
+        expect(timeline[2].isSwing).toBe(false);
+        expect(timeline[3]).toMatchObject({ rating: 'Positive', isSwing: true });
+        expect(timeline[3].drivers[0].message).toContain('Perfect');
+    });
+
+    it('lays points out with -1 at the bottom and 1 at the top', () => {
+        const points = [{ score: -1 }, { score: 0 }, { score: 1 }];
+        const layout = layoutSparkline(points, 100, 50, 5);
+
+        expect(layout.points).toBe('5,45 50,25 95,5');
+        expect(layout.markers[1]).toMatchObject({ x: 50, y: 25 });
+        expect(layoutSparkline([{ score: 0 }], 100, 50, 5).points).toBe('50,25');
+    });
+});
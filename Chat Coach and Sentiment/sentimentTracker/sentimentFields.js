@@ -0,0 +1,106 @@
+/**
+ * Field mapping for sentimentTracker.
+ * The rating and justification fields come from the App Builder properties, falling back to the
+ * fields this package ships for VoiceCall and MessagingSession. They are checked against the
+ * object's describe (getObjectInfo) before the record is loaded, so a typo or a missing field shows
+ * a clear message instead of a failed getRecord.
+ * The score, confidence and emotions fields are optional: when left at their defaults and the object
+ * doesn't have them, they are skipped rather than reported.
+ */
+
+export const DEFAULT_SENTIMENT_FIELDS = {
+    VoiceCall: { rating: 'SentimentRating__c', justification: 'Call_Sentiment__c' },
+    MessagingSession: { rating: 'SentimentRating__c', justification: 'ChatSentiment__c' }
+};
+
+// Used for objects the package has no defaults for
+export const FALLBACK_SENTIMENT_FIELDS = { rating: 'SentimentRating__c', justification: 'Sentiment_Justification__c' };
+
+export const DEFAULT_DETAIL_FIELDS = { score: 'SentimentScore__c', confidence: 'SentimentConfidence__c', emotions: 'SentimentEmotions__c' };
+
+const RATING_TYPES = ['Picklist', 'String'];
+const JUSTIFICATION_TYPES = ['TextArea', 'String'];
+const DETAIL_TYPES = {
+    score: ['Double'],
+    confidence: ['Double'],
+    emotions: ['MultiPicklist', 'String', 'TextArea']
+};
+
+/**
+ * Field API names to use on an object: the configured ones, or the defaults for the object.
+ * detailFields holds the configured { score, confidence, emotions } names; `optional` lists the
+ * detail fields that were left at their defaults.
+ */
+export function resolveSentimentFields(objectApiName, ratingField, justificationField, detailFields = {}) {
+    const defaults = DEFAULT_SENTIMENT_FIELDS[objectApiName] || FALLBACK_SENTIMENT_FIELDS;
+    const fields = {
+        rating: (ratingField || '').trim() || defaults.rating,
+        justification: (justificationField || '').trim() || defaults.justification,
+        optional: []
+    };
+    Object.keys(DEFAULT_DETAIL_FIELDS).forEach(key => {
+        const configured = (detailFields[key] || '').trim();
+        fields[key] = configured || DEFAULT_DETAIL_FIELDS[key];
+        if (!configured) {
+            fields.optional.push(key);
+        }
+    });
+    return fields;
+}
+
+function findField(objectInfo, apiName) {
+    const fields = objectInfo.fields || {};
+    if (fields[apiName]) {
+        return fields[apiName];
+    }
+    // App Builder values are typed by hand, so don't fail on case alone
+    const match = Object.keys(fields).find(name => name.toLowerCase() === apiName.toLowerCase());
+    return match ? fields[match] : null;
+}
+
+function checkField(objectInfo, apiName, allowedTypes, role) {
+    const field = findField(objectInfo, apiName);
+    if (!field) {
+        return { error: `The ${role} field ${apiName} doesn't exist on ${objectInfo.label || objectInfo.apiName}, or you don't have access to it.` };
+    }
+    if (!allowedTypes.includes(field.dataType)) {
+        return { error: `The ${role} field ${field.apiName} is a ${field.dataType} field. Use a ${allowedTypes.join(' or ')} field.` };
+    }
+    return { field: field };
+}
+
+/**
+ * Check the fields against the object describe. Returns { error, fields, canEdit }, where fields
+ * holds the API names with the org's casing (null for skipped detail fields) and canEdit is false
+ * when the rating or justification field is read-only.
+ */
+export function validateSentimentFields(objectInfo, fields) {
+    const rating = checkField(objectInfo, fields.rating, RATING_TYPES, 'rating');
+    if (rating.error) {
+        return { error: rating.error, fields: null, canEdit: false };
+    }
+    const justification = checkField(objectInfo, fields.justification, JUSTIFICATION_TYPES, 'justification');
+    if (justification.error) {
+        return { error: justification.error, fields: null, canEdit: false };
+    }
+
+    const resolved = { rating: rating.field.apiName, justification: justification.field.apiName };
+    const optional = fields.optional || [];
+    for (const key of Object.keys(DETAIL_TYPES)) {
+        resolved[key] = null;
+        if (!fields[key] || (optional.includes(key) && !findField(objectInfo, fields[key]))) {
+            continue;
+        }
+        const detail = checkField(objectInfo, fields[key], DETAIL_TYPES[key], key);
+        if (detail.error) {
+            return { error: detail.error, fields: null, canEdit: false };
+        }
+        resolved[key] = detail.field.apiName;
+    }
+
+    return {
+        error: '',
+        fields: resolved,
+        canEdit: !!(rating.field.updateable && justification.field.updateable)
+    };
+}
@@ -0,0 +1,170 @@
+/**
+ * Live sentiment timeline for sentimentTracker.
+ * Customer utterances are scored with a small lexicon, following the same cues as the
+ * Call_Sentiment and MSG_Chat_Sentiment prompt templates (polarity words, emotion words,
+ * intensity and negation). Every N customer utterances the window is re-scored into one point
+ * on the timeline, and big moves between points are reported as swings along with the
+ * utterances that drove them. This is a keyword-based estimate, not the prompt template's model:
+ * the Flow-written Sentiment Rating stays the rating of record, and the timeline is an early
+ * warning while the interaction is still live.
+ */
+
+export const CUSTOMER_ACTOR_TYPES = ['EndUser', 'End User', 'Customer'];
+export const RATING_THRESHOLD = 0.2; // Scores beyond +/- this are Positive or Negative
+export const SWING_THRESHOLD = 0.4; // Change between two points that counts as a swing
+export const DRIVERS_PER_SWING = 2;
+
+// Multi-word phrases are matched before single words
+const PHRASES = {
+    'thank you': 2,
+    'thanks so much': 3,
+    'that helps': 2,
+    'makes sense': 1,
+    'poor service': -3,
+    'not working': -2,
+    'still waiting': -2,
+    'waste of time': -3,
+    'third time': -2,
+    'speak to a manager': -3,
+    'cancel my account': -3,
+    'look for alternatives': -3
+};
+
+const WORDS = {
+    great: 2, good: 1, perfect: 3, excellent: 3, amazing: 3, wonderful: 3, awesome: 3,
+    happy: 2, glad: 2, pleased: 2, satisfied: 2, appreciate: 2, thanks: 2, helpful: 2,
+    resolved: 2, fixed: 2, love: 3, easy: 1, quick: 1, fine: 1, ok: 0.3, okay: 0.3,
+    bad: -2, terrible: -3, awful: -3, horrible: -3, worst: -3, useless: -3, ridiculous: -3,
+    angry: -3, upset: -2, annoyed: -2, frustrated: -3, frustrating: -3, disappointed: -2,
+    unhappy: -2, confused: -1, confusing: -1, problem: -1, issue: -1, broken: -2, wrong: -2,
+    slow: -1, again: -1, unacceptable: -3, complaint: -2, refund: -1, cancel: -2
+};
+
+const INTENSIFIERS = { very: 1.5, really: 1.4, so: 1.3, extremely: 1.8, absolutely: 1.7, totally: 1.5, completely: 1.5 };
+const SOFTENERS = { bit: 0.6, slightly: 0.6, somewhat: 0.7, little: 0.7, quite: 0.9 };
+const NEGATIONS = ['not', 'no', "don't", 'dont', "isn't", 'isnt', "wasn't", 'wasnt', "can't", 'cant', "won't", 'wont', 'never'];
+const NEGATION_WINDOW = 3; // Words before a sentiment word that a negation still applies to
+const NORMALIZE_ALPHA = 6; // Larger values need more evidence to reach +/-1
+
+function normalize(total) {
+    return total / Math.sqrt(total * total + NORMALIZE_ALPHA);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+export function isCustomerEntry(entry) {
+    return !!entry && CUSTOMER_ACTOR_TYPES.includes(entry.actorType);
+}
+
+/**
+ * Score one utterance from -1 (very negative) to 1 (very positive).
+ * Returns { score, terms }, where terms are the words and phrases that counted.
+ */
+export function scoreUtterance(text) {
+    let remaining = ` ${String(text || '').toLowerCase().replace(/[^a-z0-9'!\s]/g, ' ')} `;
+    let total = 0;
+    const terms = [];
+
+    Object.keys(PHRASES).forEach(phrase => {
+        if (remaining.includes(` ${phrase} `)) {
+            total += PHRASES[phrase];
+            terms.push(phrase);
+            remaining = remaining.split(` ${phrase} `).join(' ');
+        }
+    });
+
+    const tokens = remaining.split(/\s+/).filter(Boolean);
+    tokens.forEach((token, index) => {
+        const word = token.replace(/!+$/, '');
+        if (!(word in WORDS) || WORDS[word] === 0) {
+            return;
+        }
+
+        let weight = WORDS[word];
+        const previous = tokens.slice(Math.max(0, index - NEGATION_WINDOW), index).map(item => item.replace(/!+$/, ''));
+        const modifier = previous.length ? previous[previous.length - 1] : '';
+        if (INTENSIFIERS[modifier]) {
+            weight *= INTENSIFIERS[modifier];
+        } else if (SOFTENERS[modifier]) {
+            weight *= SOFTENERS[modifier];
+        }
+        if (previous.some(item => NEGATIONS.includes(item))) {
+            // "not happy" is negative, but "not bad" is only mildly positive
+            weight *= -0.5;
+        }
+        if (token.endsWith('!')) {
+            weight *= 1.2;
+        }
+        total += weight;
+        terms.push(word);
+    });
+
+    return { score: round(normalize(total)), terms: terms };
+}
+
+export function ratingForScore(score) {
+    if (score >= RATING_THRESHOLD) return 'Positive';
+    if (score <= -RATING_THRESHOLD) return 'Negative';
+    return 'Neutral';
+}
+
+/**
+ * Turn a transcript into timeline points, one for every `interval` customer utterances.
+ * A final point covers any leftover utterances so the timeline is never behind the call.
+ * Each point has { index, score, rating, utterances, delta, isSwing, drivers }, where drivers
+ * are the utterances in the window that pushed hardest in the direction of a swing.
+ */
+export function buildTimeline(entries, interval = 3) {
+    const windowSize = Math.max(1, Math.floor(Number(interval)) || 1);
+    const utterances = (entries || [])
+        .filter(isCustomerEntry)
+        .filter(entry => entry.message && entry.message.trim())
+        .map(entry => ({ seq: entry.seq, message: entry.message.trim(), entryTime: entry.entryTime, ...scoreUtterance(entry.message) }));
+
+    const points = [];
+    for (let start = 0; start < utterances.length; start += windowSize) {
+        const window = utterances.slice(start, start + windowSize);
+        const score = round(window.reduce((sum, utterance) => sum + utterance.score, 0) / window.length);
+        const previous = points[points.length - 1];
+        const delta = previous ? round(score - previous.score) : 0;
+        const isSwing = Math.abs(delta) >= SWING_THRESHOLD;
+        const drivers = isSwing
+            ? window
+                .filter(utterance => Math.sign(utterance.score) === Math.sign(delta))
+                .sort((a, b) => Math.abs(b.score) - Math.abs(a.score))
+                .slice(0, DRIVERS_PER_SWING)
+            : [];
+
+        points.push({
+            index: points.length,
+            score: score,
+            rating: ratingForScore(score),
+            utterances: window,
+            delta: delta,
+            isSwing: isSwing,
+            drivers: drivers
+        });
+    }
+    return points;
+}
+
+/**
+ * Lay the points out in an SVG box with -1 at the bottom and 1 at the top.
+ * Returns { points: 'x,y x,y ...' for a polyline, markers: [{ x, y, point }] }.
+ */
+export function layoutSparkline(points, width, height, padding = 4) {
+    const innerWidth = width - padding * 2;
+    const innerHeight = height - padding * 2;
+    const step = points.length > 1 ? innerWidth / (points.length - 1) : 0;
+    const markers = points.map((point, index) => ({
+        x: round(points.length > 1 ? padding + index * step : width / 2),
+        y: round(padding + ((1 - point.score) / 2) * innerHeight),
+        point: point
+    }));
+    return {
+        points: markers.map(marker => `${marker.x},${marker.y}`).join(' '),
+        markers: markers
+    };
+}
@@ -1,11 +1,75 @@
 import { LightningElement, api, wire, track } from 'lwc';
-import { getRecord, updateRecord } from 'lightning/uiRecordApi';
+import { getRecord, getObjectInfo, notifyRecordUpdateAvailable } from 'lightning/uiRecordApi';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { refreshApex } from '@salesforce/apex';
+import { subscribe, unsubscribe, MessageContext, APPLICATION_SCOPE } from 'lightning/messageService';
+import CALL_STATE_CHANNEL from '@salesforce/messageChannel/Call_State__c';
+import getTranscriptEntries from '@salesforce/apex/SentimentTimelineController.getTranscriptEntries';
+import saveSentiment from '@salesforce/apex/SentimentHistoryService.saveSentiment';
+import getSentimentHistory from '@salesforce/apex/SentimentHistoryService.getSentimentHistory';
+import analyzeSentiment from '@salesforce/apex/SentimentAnalysisService.analyzeSentiment';
+import saveAnalysis from '@salesforce/apex/SentimentAnalysisService.saveAnalysis';
+import { buildTimeline, layoutSparkline } from './sentimentTimeline';
+import { resolveSentimentFields, validateSentimentFields } from './sentimentFields';
+
+const SPARKLINE_WIDTH = 300;
+const SPARKLINE_HEIGHT = 60;
+const MIN_POLL_SECONDS = 5;
+// Objects with a sentiment prompt template for "Analyze now"
+const ANALYZABLE_OBJECTS = ['VoiceCall', 'MessagingSession'];
 
 export default class SentimentTracker extends LightningElement {
     @api recordId;
     @api objectApiName;
+
+    @api
+    get ratingFieldApiName() {
+        return this._ratingFieldApiName;
+    }
+    set ratingFieldApiName(value) {
+        this._ratingFieldApiName = value;
+        this.applyFieldMapping();
+    }
+
+    @api
+    get justificationFieldApiName() {
+        return this._justificationFieldApiName;
+    }
+    set justificationFieldApiName(value) {
+        this._justificationFieldApiName = value;
+        this.applyFieldMapping();
+    }
+
+    @api
+    get scoreFieldApiName() {
+        return this._detailFieldApiNames.score;
+    }
+    set scoreFieldApiName(value) {
+        this._detailFieldApiNames = { ...this._detailFieldApiNames, score: value };
+        this.applyFieldMapping();
+    }
+
+    @api
+    get confidenceFieldApiName() {
+        return this._detailFieldApiNames.confidence;
+    }
+    set confidenceFieldApiName(value) {
+        this._detailFieldApiNames = { ...this._detailFieldApiNames, confidence: value };
+        this.applyFieldMapping();
+    }
+
+    @api
+    get emotionsFieldApiName() {
+        return this._detailFieldApiNames.emotions;
+    }
+    set emotionsFieldApiName(value) {
+        this._detailFieldApiNames = { ...this._detailFieldApiNames, emotions: value };
+        this.applyFieldMapping();
+    }
+
+    @api enableLiveMode = false;
+    @api liveUtteranceInterval = 3;
+    @api livePollSeconds = 10;
     
     @track sentimentRating = '';
     @track callSentiment = '';
@@ -15,19 +79,296 @@ export default class SentimentTracker extends LightningElement {
     @track saveStatus = '';
     @track originalData = {};
     @track isEditing = true;
+    @track sentimentDetails = {};
+    @track liveCallStatus = '';
+    @track canEditSentiment = true;
+    @track fieldError = '';
+
+    // "Analyze now" proposal waiting for the agent to accept or edit it
+    @track proposal = null;
+    @track isAnalyzing = false;
+
+    // Rating and justification field API names, set once they pass validation
+    _ratingFieldApiName = '';
+    _justificationFieldApiName = '';
+    _detailFieldApiNames = {};
+    objectInfo;
+    fieldMapping = null;
+
+    // Live sentiment timeline
+    @track timeline = [];
+    @track liveError = '';
+    @track historyError = '';
+    isTranscriptLive = false;
+    transcriptEntries = [];
+    lastTranscriptSeq = null;
+    livePollTimer = null;
+    isFetchingTranscript = false;
+    isFinalFetchQueued = false; // The call ended while a fetch was running
+    isCallEnded = false;
+    isDisconnected = false;
+
+    // Sentiment history
+    @track history = [];
+    @track isHistoryOpen = false;
+    wiredHistoryResult;
     
     // Wire the record data
     wiredRecordResult;
 
-    get sentimentRatingFields() {
-        // Define fields based on object type
-        if (this.objectApiName === 'MessagingSession') {
-            return ['MessagingSession.Sentiment_Rating__c', 'MessagingSession.Call_Sentiment__c'];
+    // Call state messages from Unified Phone Controls
+    @wire(MessageContext)
+    messageContext;
+    callStateSubscription = null;
+
+    connectedCallback() {
+        this.isDisconnected = false;
+        this.callStateSubscription = subscribe(
+            this.messageContext,
+            CALL_STATE_CHANNEL,
+            message => this.handleCallStateMessage(message),
+            { scope: APPLICATION_SCOPE }
+        );
+
+        if (this.enableLiveMode && this.recordId) {
+            this.loadTranscript();
+        }
+    }
+
+    disconnectedCallback() {
+        // A fetch still running must not restart the timer once the component is gone
+        this.isDisconnected = true;
+        this.isFinalFetchQueued = false;
+        this.stopLivePolling();
+        if (this.callStateSubscription) {
+            unsubscribe(this.callStateSubscription);
+            this.callStateSubscription = null;
+        }
+    }
+
+    handleCallStateMessage(message) {
+        // Only follow the call this record page is showing
+        if (message?.messageType !== 'state' || message.recordId !== this.recordId) {
+            return;
+        }
+
+        if (message.transition === 'ended') {
+            this.liveCallStatus = '';
+            // Sentiment is usually written once the call ends, so pick it up straight away
+            refreshApex(this.wiredRecordResult);
+            refreshApex(this.wiredHistoryResult);
+            if (this.enableLiveMode) {
+                // One last fetch so the timeline includes the final utterances, after any fetch still running
+                this.isCallEnded = true;
+                this.stopLivePolling();
+                if (this.isFetchingTranscript) {
+                    this.isFinalFetchQueued = true;
+                } else {
+                    this.loadTranscript();
+                }
+            }
         } else {
-            return ['VoiceCall.Sentiment_Rating__c', 'VoiceCall.Call_Sentiment__c'];
+            this.liveCallStatus = message.callStatus;
+            this.isCallEnded = false;
+            if (this.enableLiveMode && !this.livePollTimer && !this.isFetchingTranscript) {
+                this.loadTranscript();
+            }
+        }
+    }
+
+    /**
+     * Live sentiment timeline: fetch the transcript entries added since the last poll and re-score the timeline.
+     * Keeps polling while the VoiceCall or MessagingSession is still active, until the call ends or the component is removed.
+     */
+    async loadTranscript() {
+        if (this.isFetchingTranscript) {
+            return;
+        }
+        this.isFetchingTranscript = true;
+
+        try {
+            const page = await getTranscriptEntries({
+                recordId: this.recordId,
+                afterSeq: this.lastTranscriptSeq
+            });
+
+            if (page.entries && page.entries.length) {
+                this.transcriptEntries = [...this.transcriptEntries, ...page.entries];
+                this.lastTranscriptSeq = page.lastSeq;
+                this.timeline = buildTimeline(this.transcriptEntries, this.liveUtteranceInterval);
+            }
+            this.isTranscriptLive = page.isActive;
+            this.liveError = '';
+
+            // The transcript can still read as active just after the call ends
+            if (page.isActive && !this.isCallEnded && !this.isDisconnected) {
+                this.startLivePolling();
+            } else {
+                this.stopLivePolling();
+            }
+        } catch (error) {
+            this.liveError = error.body?.message || 'Error loading the live transcript';
+            this.stopLivePolling();
+        } finally {
+            this.isFetchingTranscript = false;
+        }
+
+        if (this.isFinalFetchQueued && !this.isDisconnected) {
+            this.isFinalFetchQueued = false;
+            this.loadTranscript();
         }
     }
 
+    startLivePolling() {
+        if (this.livePollTimer) {
+            return;
+        }
+        const seconds = Math.max(MIN_POLL_SECONDS, Number(this.livePollSeconds) || MIN_POLL_SECONDS);
+        // loadTranscript skips a tick while the previous fetch is still running
+        this.livePollTimer = setInterval(() => {
+            this.loadTranscript();
+        }, seconds * 1000);
+    }
+
+    stopLivePolling() {
+        if (this.livePollTimer) {
+            clearInterval(this.livePollTimer);
+            this.livePollTimer = null;
+        }
+    }
+
+    get showLiveTimeline() {
+        return this.enableLiveMode && (this.timeline.length > 0 || this.isTranscriptLive);
+    }
+
+    get hasTimelinePoints() {
+        return this.timeline.length > 0;
+    }
+
+    get sparklineViewBox() {
+        return `0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`;
+    }
+
+    get sparkline() {
+        return layoutSparkline(this.timeline, SPARKLINE_WIDTH, SPARKLINE_HEIGHT);
+    }
+
+    get sparklinePoints() {
+        return this.sparkline.points;
+    }
+
+    get sparklineMarkers() {
+        return this.sparkline.markers.map(marker => {
+            const point = marker.point;
+            const drivers = point.drivers.map(driver => `"${driver.message}"`).join(' ');
+            return {
+                key: `point-${point.index}`,
+                x: marker.x,
+                y: marker.y,
+                radius: point.isSwing ? 4 : 2.5,
+                className: `sparkline-marker ${point.rating.toLowerCase()}${point.isSwing ? ' swing' : ''}`,
+                title: `${point.rating} (${point.score})${drivers ? ': ' + drivers : ''}`
+            };
+        });
+    }
+
+    get latestTimelinePoint() {
+        return this.timeline.length ? this.timeline[this.timeline.length - 1] : null;
+    }
+
+    get liveRating() {
+        const point = this.latestTimelinePoint;
+        return point ? point.rating : '';
+    }
+
+    get liveRatingBadgeClass() {
+        return `slds-badge live-rating ${this.liveRating.toLowerCase()}`;
+    }
+
+    get liveTimelineLabel() {
+        return this.isTranscriptLive ? 'Live sentiment estimate' : 'Estimated sentiment over the conversation';
+    }
+
+    get timelineSwings() {
+        return this.timeline
+            .filter(point => point.isSwing)
+            .map(point => ({
+                key: `swing-${point.index}`,
+                label: point.delta > 0 ? 'Improved' : 'Worsened',
+                className: `timeline-swing ${point.delta > 0 ? 'up' : 'down'}`,
+                change: `${point.delta > 0 ? '+' : ''}${point.delta}`,
+                drivers: point.drivers.map(driver => ({
+                    key: `swing-${point.index}-${driver.seq}`,
+                    message: driver.message
+                }))
+            }))
+            .reverse();
+    }
+
+    get hasTimelineSwings() {
+        return this.timelineSwings.length > 0;
+    }
+
+    // Check the configured fields against the object before loading the record
+    @wire(getObjectInfo, { objectApiName: '$objectApiName' })
+    wiredObjectInfo({ data, error }) {
+        if (data) {
+            this.objectInfo = data;
+            this.applyFieldMapping();
+        } else if (error) {
+            this.fieldMapping = null;
+            this.error = error.body?.message || 'Error loading object details';
+            this.isLoading = false;
+        }
+    }
+
+    // Runs when the object info loads and when the field properties change in App Builder
+    applyFieldMapping() {
+        if (!this.objectInfo) {
+            return;
+        }
+        const fields = resolveSentimentFields(
+            this.objectApiName,
+            this._ratingFieldApiName,
+            this._justificationFieldApiName,
+            this._detailFieldApiNames
+        );
+        const result = validateSentimentFields(this.objectInfo, fields);
+        if (result.error) {
+            this.fieldMapping = null;
+            this.fieldError = result.error;
+            this.isLoading = false;
+            return;
+        }
+        this.fieldMapping = result.fields;
+        this.canEditSentiment = result.canEdit;
+        this.fieldError = '';
+    }
+
+    get sentimentRatingFields() {
+        // getRecord waits until the fields have been validated
+        if (!this.fieldMapping) {
+            return undefined;
+        }
+        return [
+            this.fieldMapping.rating,
+            this.fieldMapping.justification,
+            this.fieldMapping.score,
+            this.fieldMapping.confidence,
+            this.fieldMapping.emotions
+        ]
+            .filter(Boolean)
+            .map(field => `${this.objectApiName}.${field}`);
+    }
+
+    get hasValidFields() {
+        return !!this.fieldMapping;
+    }
+
+    get showFieldError() {
+        return !!this.recordId && !!this.fieldError;
+    }
+
     @wire(getRecord, { 
         recordId: '$recordId', 
         fields: '$sentimentRatingFields' 
@@ -48,14 +389,13 @@ export default class SentimentTracker extends LightningElement {
         try {
             const fields = data.fields;
             
-            // Handle both Voice Call and Messaging Session fields
-            if (this.objectApiName === 'MessagingSession') {
-                this.sentimentRating = fields.Sentiment_Rating__c?.value || '';
-                this.callSentiment = fields.Call_Sentiment__c?.value || '';
-            } else {
-                this.sentimentRating = fields.Sentiment_Rating__c?.value || '';
-                this.callSentiment = fields.Call_Sentiment__c?.value || '';
-            }
+            this.sentimentRating = fields[this.fieldMapping.rating]?.value || '';
+            this.callSentiment = fields[this.fieldMapping.justification]?.value || '';
+            this.sentimentDetails = {
+                score: this.fieldMapping.score ? fields[this.fieldMapping.score]?.value : null,
+                confidence: this.fieldMapping.confidence ? fields[this.fieldMapping.confidence]?.value : null,
+                emotions: this.fieldMapping.emotions ? fields[this.fieldMapping.emotions]?.value : null
+            };
             
             // Store original data for comparison
             this.originalData = {
@@ -64,7 +404,7 @@ export default class SentimentTracker extends LightningElement {
             };
             
             // Set editing mode: if no sentiment, allow editing; otherwise, view mode
-            this.isEditing = !this.sentimentRating;
+            this.isEditing = !this.sentimentRating && this.canEditSentiment;
             this.error = null;
         } catch (error) {
             this.error = 'Error processing record data: ' + error.message;
@@ -73,6 +413,51 @@ export default class SentimentTracker extends LightningElement {
         }
     }
 
+    @wire(getSentimentHistory, { recordId: '$recordId' })
+    wiredHistory(result) {
+        this.wiredHistoryResult = result;
+        if (result.data) {
+            this.history = result.data;
+            this.historyError = '';
+        } else if (result.error) {
+            // History is supplementary, so don't block the rating if it can't be read
+            this.history = [];
+            this.historyError = result.error.body?.message || 'Error loading sentiment history';
+        }
+    }
+
+    get hasHistory() {
+        return this.history.length > 0;
+    }
+
+    get historyToggleLabel() {
+        return `${this.isHistoryOpen ? 'Hide' : 'Show'} history (${this.history.length})`;
+    }
+
+    get historyRows() {
+        return this.history.map(row => {
+            const isAi = row.Source__c === 'AI';
+            return {
+                key: row.Id,
+                change: row.Prior_Rating__c ? `${row.Prior_Rating__c} → ${row.Rating__c || 'None'}` : row.Rating__c || 'None',
+                sourceLabel: isAi ? `AI${row.Source_Detail__c ? ': ' + row.Source_Detail__c : ''}` : 'Manual',
+                sourceClass: `slds-badge history-source ${isAi ? 'ai' : 'manual'}`,
+                changedBy: row.Changed_By__r?.Name || '',
+                changedAt: row.Changed_At__c,
+                justification: row.Justification__c || '',
+                isAiOverride: row.Is_AI_Override__c
+            };
+        });
+    }
+
+    get historyExpanded() {
+        return this.isHistoryOpen ? 'true' : 'false';
+    }
+
+    handleToggleHistory() {
+        this.isHistoryOpen = !this.isHistoryOpen;
+    }
+
     // Computed properties for sentiment selection
     get isPositiveSelected() {
         return this.sentimentRating === 'Positive';
@@ -110,20 +495,27 @@ export default class SentimentTracker extends LightningElement {
         this.clearSaveStatus();
 
         try {
-            const fields = {};
-            fields.Id = this.recordId;
-            
-            // Set fields based on object type
-            if (this.objectApiName === 'MessagingSession') {
-                fields.Sentiment_Rating__c = this.sentimentRating;
-                fields.Call_Sentiment__c = this.callSentiment;
+            // Saved through Apex so the change and the prior value land in the sentiment history
+            const params = {
+                recordId: this.recordId,
+                ratingField: this.fieldMapping.rating,
+                justificationField: this.fieldMapping.justification,
+                rating: this.sentimentRating,
+                justification: this.callSentiment,
+                detailFields: {
+                    score: this.fieldMapping.score || '',
+                    confidence: this.fieldMapping.confidence || '',
+                    emotions: this.fieldMapping.emotions || ''
+                }
+            };
+            if (this.proposal) {
+                // Apex checks the values against its own copy of the proposal
+                await saveAnalysis(params);
+                this.proposal = null;
             } else {
-                fields.Sentiment_Rating__c = this.sentimentRating;
-                fields.Call_Sentiment__c = this.callSentiment;
+                await saveSentiment(params);
             }
-
-            const recordInput = { fields };
-            await updateRecord(recordInput);
+            await notifyRecordUpdateAvailable([{ recordId: this.recordId }]);
 
             // Update original data
             this.originalData = {
@@ -131,8 +523,9 @@ export default class SentimentTracker extends LightningElement {
                 callSentiment: this.callSentiment
             };
 
-            // Refresh the record data
+            // Refresh the record data and history
             await refreshApex(this.wiredRecordResult);
+            await refreshApex(this.wiredHistoryResult);
 
             this.saveStatus = 'Sentiment data saved successfully!';
             this.showToast('Success', 'Sentiment data saved successfully!', 'success');
@@ -149,6 +542,7 @@ export default class SentimentTracker extends LightningElement {
 
     // Handle cancel action
     handleCancel() {
+        this.proposal = null;
         this.sentimentRating = this.originalData.sentimentRating || '';
         this.callSentiment = this.originalData.callSentiment || '';
         this.clearSaveStatus();
@@ -156,8 +550,103 @@ export default class SentimentTracker extends LightningElement {
         this.isEditing = false;
     }
 
+    get canAnalyze() {
+        return this.canEditSentiment && this.hasValidFields && ANALYZABLE_OBJECTS.includes(this.objectApiName);
+    }
+
+    get isAnalyzeDisabled() {
+        return this.isAnalyzing || this.isSaving;
+    }
+
+    get hasProposal() {
+        return !!this.proposal;
+    }
+
+    get isProposalUnchanged() {
+        return this.hasProposal &&
+               this.sentimentRating === (this.proposal.rating || '') &&
+               this.callSentiment === (this.proposal.justification || '');
+    }
+
+    // Score, confidence and emotions: the proposal's while its rating is kept, otherwise the record's
+    get displayedDetails() {
+        if (this.isEditing) {
+            return this.hasProposal && this.sentimentRating === this.proposal.rating ? this.proposal : {};
+        }
+        return this.sentimentDetails;
+    }
+
+    get hasScore() {
+        return this.displayedDetails.score !== null && this.displayedDetails.score !== undefined;
+    }
+
+    get scoreLabel() {
+        const score = Number(this.displayedDetails.score);
+        return `Score ${score > 0 ? '+' : ''}${score.toFixed(2)}`;
+    }
+
+    get scoreChipClass() {
+        const score = Number(this.displayedDetails.score);
+        return `slds-badge detail-chip score ${score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral'}`;
+    }
+
+    get hasConfidence() {
+        return this.displayedDetails.confidence !== null && this.displayedDetails.confidence !== undefined;
+    }
+
+    get confidenceLabel() {
+        return `${Math.round(Number(this.displayedDetails.confidence) * 100)}% confident`;
+    }
+
+    get emotionChips() {
+        const emotions = this.displayedDetails.emotions;
+        if (!emotions) {
+            return [];
+        }
+        return emotions
+            .split(';')
+            .map(emotion => emotion.trim())
+            .filter(Boolean)
+            .map(emotion => ({ key: emotion, label: emotion }));
+    }
+
+    get hasSentimentDetails() {
+        return this.hasScore || this.hasConfidence || this.emotionChips.length > 0;
+    }
+
+    get saveButtonLabel() {
+        return this.isProposalUnchanged ? 'Accept' : 'Save';
+    }
+
+    // Run the sentiment prompt template now and show its proposal in the edit view
+    async handleAnalyze() {
+        this.isAnalyzing = true;
+        this.clearSaveStatus();
+        this.error = null;
+
+        try {
+            const proposal = await analyzeSentiment({ recordId: this.recordId });
+            this.proposal = proposal;
+            this.sentimentRating = proposal.rating || '';
+            this.callSentiment = proposal.justification || '';
+            this.isEditing = true;
+
+            if (!proposal.rating) {
+                this.showToast('No rating proposed', 'The analysis did not return a rating. Pick one before saving.', 'warning');
+            }
+        } catch (error) {
+            this.error = error.body?.message || 'Error analyzing sentiment';
+            this.showToast('Error', 'Failed to analyze sentiment', 'error');
+        } finally {
+            this.isAnalyzing = false;
+        }
+    }
+
     // Handle edit action
     handleEdit() {
+        if (!this.canEditSentiment) {
+            return;
+        }
         this.isEditing = true;
     }
 
@@ -0,0 +1,93 @@
+import {
+    QUALITY_LEVELS,
+    estimateMos,
+    readAudioStats,
+    rateSample,
+    buildQualitySample,
+    summarizeQualitySamples,
+    serializeQualitySamples
+} from '../callQuality';
+
+const CLEAN_CHANNEL = { packetsCount: 1000, packetsLost: 0, jitterBufferMillis: 10, roundTripTimeMillis: 80 };
+
+function voiceStats(inputChannelStats, outputChannelStats) {
+    return { stats: [{ inputChannelStats, outputChannelStats }] };
+}
+
+describe('callQuality', () => {
+    it('reads both channels of a Service Cloud Voice stats event', () => {
+        const samples = readAudioStats(voiceStats(CLEAN_CHANNEL, { ...CLEAN_CHANNEL, packetsLost: 25 }));
+
+        expect(samples.map(sample => sample.channel)).toEqual(['input', 'output']);
+        expect(samples[1].packetLossPercent).toBe(2.5);
+        expect(samples[1].jitterMs).toBe(10);
+        expect(samples[1].roundTripMs).toBe(80);
+    });
+
+    it('treats flat stats as the customer channel and keeps a reported MOS', () => {
+        const samples = readAudioStats({ jitter: 20, packetLoss: 0.5, rtt: 120, mos: 4.3 });
+
+        expect(samples.length).toBe(1);
+        expect(samples[0]).toMatchObject({ channel: 'output', jitterMs: 20, packetLossPercent: 0.5, roundTripMs: 120, mos: 4.3 });
+        expect(readAudioStats(null)).toEqual([]);
+    });
+
+    it('estimates a lower MOS as the network gets worse', () => {
+        const clean = estimateMos({ jitterMs: 5, packetLossPercent: 0, roundTripMs: 50 });
+        const lossy = estimateMos({ jitterMs: 60, packetLossPercent: 5, roundTripMs: 400 });
+
+        expect(clean > 4.2).toBe(true);
+        expect(lossy < 3.5).toBe(true);
+        expect(estimateMos({ jitterMs: null, packetLossPercent: null, roundTripMs: null })).toBe(null);
+    });
+
+    it('rates a sample by its worst metric and names the metrics at fault', () => {
+        expect(rateSample({ jitterMs: 10, packetLossPercent: 0, roundTripMs: 80, mos: 4.4 }))
+            .toEqual({ level: QUALITY_LEVELS.GOOD, reasons: [] });
+        expect(rateSample({ jitterMs: 40, packetLossPercent: 0, roundTripMs: 80, mos: 4.2 }))
+            .toEqual({ level: QUALITY_LEVELS.FAIR, reasons: ['jitterMs'] });
+        expect(rateSample({ jitterMs: 40, packetLossPercent: 4, roundTripMs: 80, mos: 3.2 }))
+            .toEqual({ level: QUALITY_LEVELS.POOR, reasons: ['jitterMs', 'packetLossPercent', 'mos'] });
+        expect(rateSample({ jitterMs: null, packetLossPercent: null, roundTripMs: null, mos: null }).level)
+            .toBe(QUALITY_LEVELS.UNKNOWN);
+    });
+
+    it('points a sample at the channel with the worst quality', () => {
+        const channels = readAudioStats(voiceStats(CLEAN_CHANNEL, { ...CLEAN_CHANNEL, jitterBufferMillis: 90, packetsLost: 50 }));
+        const sample = buildQualitySample(channels, 42);
+
+        expect(sample).toMatchObject({ callOffsetSeconds: 42, level: QUALITY_LEVELS.POOR, worstChannel: 'output' });
+        expect(sample.channels[0].label).toBe('Agent to customer');
+        expect(sample.channels[1].label).toBe('Customer to agent');
+    });
+
+    it('summarizes the samples of a call', () => {
+        const good = buildQualitySample(readAudioStats({ jitter: 10, packetLoss: 0, rtt: 100, mos: 4.4 }), 5);
+        const poor = buildQualitySample(readAudioStats({ jitter: 80, packetLoss: 6, rtt: 100, mos: 3.0 }), 10);
+
+        expect(summarizeQualitySamples([good, poor])).toEqual({
+            sampleCount: 2,
+            averageMos: 3.7,
+            lowestMos: 3,
+            maxJitterMs: 80,
+            maxPacketLossPercent: 6,
+            poorSampleCount: 1
+        });
+    });
+
+    it('stores samples without derived fields and drops the oldest to fit the field', () => {
+        const samples = [5, 10, 15].map(offset => buildQualitySample(readAudioStats(voiceStats(CLEAN_CHANNEL, CLEAN_CHANNEL)), offset));
+        const full = serializeQualitySamples(samples, 131072);
+        const stored = JSON.parse(full);
+
+        expect(stored.length).toBe(3);
+        expect(stored[0].channels[0]).not.toHaveProperty('label');
+        expect(stored[0].channels[0]).not.toHaveProperty('reasons');
+        expect(stored[0].channels[0].level).toBe('good');
+
+        const trimmed = serializeQualitySamples(samples, full.length - 1);
+        expect(trimmed.length).toBeLessThan(full.length);
+        expect(JSON.parse(trimmed).map(sample => sample.callOffsetSeconds)).toEqual([10, 15]);
+        expect(serializeQualitySamples(samples, 1)).toBe('[]');
+    });
+});
@@ -0,0 +1,77 @@
+import CallStateMachine, { CALL_STATES } from '../callStateMachine';
+
+describe('callStateMachine', () => {
+    let machine;
+
+    beforeEach(() => {
+        machine = new CallStateMachine();
+    });
+
+    it('follows a call from ringing to ended', () => {
+        expect(machine.dispatch('callstarted').to).toBe(CALL_STATES.RINGING);
+        expect(machine.dispatch('callconnected').to).toBe(CALL_STATES.CONNECTED);
+        expect(machine.dispatch('hold').to).toBe(CALL_STATES.ON_HOLD);
+        expect(machine.dispatch('resume').to).toBe(CALL_STATES.CONNECTED);
+        expect(machine.dispatch('callended').to).toBe(CALL_STATES.ENDED);
+    });
+
+    it('rejects a resume when the call is not on hold', () => {
+        machine.dispatch('callconnected');
+
+        const result = machine.dispatch('resume');
+
+        expect(result.accepted).toBe(false);
+        expect(result.duplicate).toBe(false);
+        expect(machine.state).toBe(CALL_STATES.CONNECTED);
+    });
+
+    it('rejects a second hold while on hold', () => {
+        machine.dispatch('callconnected');
+        machine.dispatch('hold');
+
+        expect(machine.dispatch('hold').accepted).toBe(false);
+        expect(machine.state).toBe(CALL_STATES.ON_HOLD);
+    });
+
+    it('drops events it has already seen by id or timestamp', () => {
+        machine.dispatch('callconnected');
+        machine.dispatch('hold', { eventId: 'evt-1' });
+        machine.dispatch('resume', { timestamp: 1000 });
+
+        expect(machine.dispatch('hold', { eventId: 'evt-1' }).duplicate).toBe(true);
+        expect(machine.dispatch('resume', { timestamp: 1000 }).duplicate).toBe(true);
+        expect(machine.state).toBe(CALL_STATES.CONNECTED);
+    });
+
+    it('tracks mute separately from the call state', () => {
+        machine.dispatch('callconnected');
+        machine.dispatch('hold');
+
+        expect(machine.dispatch('mute').accepted).toBe(true);
+        expect(machine.isMuted).toBe(true);
+        expect(machine.state).toBe(CALL_STATES.ON_HOLD);
+        expect(machine.dispatch('mute').accepted).toBe(false);
+    });
+
+    it('does not allow mute without a live call', () => {
+        expect(machine.dispatch('mute').accepted).toBe(false);
+        expect(machine.isMuted).toBe(false);
+    });
+
+    it('lists the events needed to match the toolkit state', () => {
+        machine.dispatch('callconnected');
+
+        expect(machine.reconcile({ isActive: true, isOnHold: true, isMuted: true })).toEqual(['hold', 'mute']);
+        expect(machine.reconcile({ isActive: true, isOnHold: false, isMuted: false })).toEqual([]);
+        expect(machine.reconcile({ isActive: false })).toEqual(['callended']);
+        expect(machine.reconcile(null)).toEqual([]);
+    });
+
+    it('can be reset to a restored state', () => {
+        machine.reset(CALL_STATES.ON_HOLD, true);
+
+        expect(machine.isLive).toBe(true);
+        expect(machine.isMuted).toBe(true);
+        expect(machine.dispatch('resume').accepted).toBe(true);
+    });
+});
@@ -0,0 +1,60 @@
+import { getEventCallId, applyCallEvent, measureCall } from '../concurrentCalls';
+
+const CONNECTED_AT = Date.UTC(2024, 0, 1, 9, 0, 0);
+
+function connectedCall(changes = {}) {
+    return {
+        callId: 'call-1',
+        callStatus: 'Connected',
+        callStartTime: CONNECTED_AT,
+        isOnHold: false,
+        currentHoldStart: null,
+        totalHoldTime: 0,
+        holdSessions: [],
+        isMuted: false,
+        muteStart: null,
+        totalMuteTime: 0,
+        ...changes
+    };
+}
+
+describe('concurrentCalls', () => {
+    it('reads the call id from event details', () => {
+        expect(getEventCallId({ callId: 'call-1' })).toBe('call-1');
+        expect(getEventCallId({ voiceCallId: '0LQ000000000001' })).toBe('0LQ000000000001');
+        expect(getEventCallId({ participantType: 'Initial_Caller' })).toBe('');
+        expect(getEventCallId(undefined)).toBe('');
+    });
+
+    it('records a hold session when a background call is resumed', () => {
+        const held = applyCallEvent(connectedCall(), 'hold', CONNECTED_AT + 10000);
+        const resumed = applyCallEvent(held, 'resume', CONNECTED_AT + 25000);
+
+        expect(held).toMatchObject({ isOnHold: true, currentHoldStart: CONNECTED_AT + 10000 });
+        expect(resumed).toMatchObject({ isOnHold: false, currentHoldStart: null, totalHoldTime: 15 });
+        expect(resumed.holdSessions).toEqual([{
+            sessionNumber: 1,
+            startTime: '2024-01-01T09:00:10.000Z',
+            endTime: '2024-01-01T09:00:25.000Z',
+            duration: 15
+        }]);
+    });
+
+    it('closes open hold and mute sessions when a background call ends', () => {
+        const call = connectedCall({ isOnHold: true, currentHoldStart: CONNECTED_AT + 5000, isMuted: true, muteStart: CONNECTED_AT });
+        const ended = applyCallEvent(call, 'callended', CONNECTED_AT + 20000);
+
+        expect(ended).toMatchObject({ callStatus: 'Ended', endedAt: CONNECTED_AT + 20000, totalHoldTime: 15, totalMuteTime: 20, isOnHold: false, isMuted: false });
+        expect(applyCallEvent(ended, 'participantadded', CONNECTED_AT + 30000)).toBe(ended);
+    });
+
+    it('keeps counting call and hold time from the snapshot timestamps', () => {
+        const call = connectedCall({ totalHoldTime: 30, isOnHold: true, currentHoldStart: CONNECTED_AT + 60000 });
+
+        expect(measureCall(call, CONNECTED_AT + 90000)).toEqual({ durationSeconds: 90, holdSeconds: 60 });
+        expect(measureCall({ ...call, endedAt: CONNECTED_AT + 70000 }, CONNECTED_AT + 90000))
+            .toEqual({ durationSeconds: 70, holdSeconds: 40 });
+        expect(measureCall(connectedCall({ callStatus: 'Incoming', callStartTime: null }), CONNECTED_AT))
+            .toEqual({ durationSeconds: 0, holdSeconds: 0 });
+    });
+});
@@ -0,0 +1,61 @@
+import {
+    EDGE_MARGIN_PX,
+    clampPosition,
+    snapToEdges,
+    toEdgePlacement,
+    fromEdgePlacement,
+    moveByKey,
+    getScreenKey
+} from '../miniBarPlacement';
+
+const VIEWPORT = { width: 1200, height: 800 };
+const SIZE = { width: 450, height: 60 };
+
+describe('miniBarPlacement', () => {
+    it('keeps the bar inside the viewport', () => {
+        expect(clampPosition({ left: -300, top: 900 }, SIZE, VIEWPORT)).toEqual({ left: 0, top: 740 });
+        expect(clampPosition({ left: 1000, top: -20 }, SIZE, VIEWPORT)).toEqual({ left: 750, top: 0 });
+        expect(clampPosition({ left: 100, top: 100 }, SIZE, VIEWPORT)).toEqual({ left: 100, top: 100 });
+    });
+
+    it('pins a bar wider than the viewport to the left', () => {
+        expect(clampPosition({ left: 50, top: 10 }, SIZE, { width: 400, height: 800 })).toEqual({ left: 0, top: 10 });
+    });
+
+    it('snaps to edges it is dropped near', () => {
+        expect(snapToEdges({ left: 10, top: 400 }, SIZE, VIEWPORT)).toEqual({ left: EDGE_MARGIN_PX, top: 400 });
+        expect(snapToEdges({ left: 740, top: 735 }, SIZE, VIEWPORT)).toEqual({ left: 734, top: 724 });
+        expect(snapToEdges({ left: 300, top: 300 }, SIZE, VIEWPORT)).toEqual({ left: 300, top: 300 });
+    });
+
+    it('stores positions relative to the nearest edges', () => {
+        expect(toEdgePlacement({ left: 734, top: 724 }, SIZE, VIEWPORT))
+            .toEqual({ horizontal: 'right', x: 16, vertical: 'bottom', y: 16 });
+        expect(toEdgePlacement({ left: 16, top: 16 }, SIZE, VIEWPORT))
+            .toEqual({ horizontal: 'left', x: 16, vertical: 'top', y: 16 });
+    });
+
+    it('keeps a corner placement in its corner on a different screen', () => {
+        const placement = { horizontal: 'right', x: 16, vertical: 'bottom', y: 16 };
+
+        expect(fromEdgePlacement(placement, SIZE, { width: 1920, height: 1080 })).toEqual({ left: 1454, top: 1004 });
+        expect(fromEdgePlacement({ horizontal: 'left', x: 2000, vertical: 'top', y: 16 }, SIZE, VIEWPORT))
+            .toEqual({ left: 750, top: 16 });
+    });
+
+    it('moves with the arrow keys and jumps to edges', () => {
+        const position = { left: 300, top: 300 };
+
+        expect(moveByKey({ key: 'ArrowLeft' }, position, SIZE, VIEWPORT)).toEqual({ left: 290, top: 300 });
+        expect(moveByKey({ key: 'ArrowDown', shiftKey: true }, position, SIZE, VIEWPORT)).toEqual({ left: 300, top: 350 });
+        expect(moveByKey({ key: 'End' }, position, SIZE, VIEWPORT)).toEqual({ left: 734, top: 300 });
+        expect(moveByKey({ key: 'PageUp' }, position, SIZE, VIEWPORT)).toEqual({ left: 300, top: EDGE_MARGIN_PX });
+        expect(moveByKey({ key: 'ArrowUp' }, { left: 300, top: 5 }, SIZE, VIEWPORT)).toEqual({ left: 300, top: 0 });
+        expect(moveByKey({ key: 'Enter' }, position, SIZE, VIEWPORT)).toBe(null);
+    });
+
+    it('identifies screens by size', () => {
+        expect(getScreenKey({ width: 2560, height: 1440 })).toBe('2560x1440');
+        expect(getScreenKey(undefined)).toBe('default');
+    });
+});
@@ -0,0 +1,64 @@
+import {
+    isE164,
+    normalizePhoneNumber,
+    validatePhoneNumber,
+    getPhoneNumberInfo,
+    getPhoneSearchVariants,
+    formatPhoneNumber
+} from '../phoneNumberUtils';
+
+describe('phoneNumberUtils', () => {
+    it('adds the default country code to national numbers', () => {
+        expect(normalizePhoneNumber('(415) 555-0123', '1')).toBe('+14155550123');
+        expect(normalizePhoneNumber('020 7946 0958', '44')).toBe('+442079460958');
+    });
+
+    it('keeps numbers that already have a country code', () => {
+        expect(normalizePhoneNumber('+44 20 7946 0958', '1')).toBe('+442079460958');
+        expect(normalizePhoneNumber('1 415 555 0123', '1')).toBe('+14155550123');
+    });
+
+    it('turns 00 and 011 international prefixes into +', () => {
+        expect(normalizePhoneNumber('0061 2 9374 4000', '1')).toBe('+61293744000');
+        expect(normalizePhoneNumber('011 81 3 1234 5678', '1')).toBe('+81312345678');
+    });
+
+    it('validates E.164 numbers', () => {
+        expect(isE164('+14155550123')).toBe(true);
+        expect(isE164('+0123456789')).toBe(false);
+        expect(isE164('+1234567890123456')).toBe(false);
+        expect(isE164('4155550123')).toBe(false);
+    });
+
+    it('explains why a number cannot be dialled', () => {
+        expect(validatePhoneNumber('', '1').error).toBe('Enter a phone number');
+        expect(validatePhoneNumber('1-800-FLOWERS', '1').valid).toBe(false);
+        expect(validatePhoneNumber('4155550123', '').valid).toBe(false);
+        expect(validatePhoneNumber('123', '1').valid).toBe(false);
+        expect(validatePhoneNumber('+49 30 901820', '1')).toEqual({ valid: true, e164: '+4930901820', error: '' });
+    });
+
+    it('formats numbers the way each country groups them', () => {
+        expect(formatPhoneNumber('4155550123', '1')).toBe('+1 (415) 555-0123');
+        expect(formatPhoneNumber('+442079460958', '1')).toBe('+44 20 7946 0958');
+        expect(formatPhoneNumber('+33612345678', '1')).toBe('+33 6 12 34 56 78');
+        expect(formatPhoneNumber('+81312345678', '1')).toBe('+81 3 1234 5678');
+        expect(formatPhoneNumber('+61412345678', '1')).toBe('+61 412 345 678');
+        expect(formatPhoneNumber('Anonymous', '1')).toBe('Anonymous');
+    });
+
+    it('identifies the region and flag', () => {
+        expect(getPhoneNumberInfo('+14165550123', '1')).toMatchObject({ region: 'CA', flag: '\u{1F1E8}\u{1F1E6}' });
+        expect(getPhoneNumberInfo('+14155550123', '1').region).toBe('US');
+        expect(getPhoneNumberInfo('+971501234567', '1')).toMatchObject({ region: 'AE', national: '050 123 4567' });
+        expect(getPhoneNumberInfo('+2125551234', '1')).toMatchObject({ region: '', international: '+2125551234' });
+    });
+
+    it('lists the ways a number may be stored for lookups', () => {
+        const variants = getPhoneSearchVariants(getPhoneNumberInfo('+442079460958', '1'));
+
+        expect(variants).toEqual(expect.arrayContaining(['+442079460958', '+44 20 7946 0958', '020 7946 0958', '02079460958']));
+        expect(getPhoneSearchVariants(getPhoneNumberInfo('4155550123', '1'))).toContain('(415) 555-0123');
+        expect(getPhoneSearchVariants(null)).toEqual([]);
+    });
+});
@@ -0,0 +1,59 @@
+import TelephonySimulator from '../telephonyAdapter';
+
+// Both calls of the secondCall script are connected 11 seconds in, with the first one on hold
+function startSecondCall() {
+    const simulator = new TelephonySimulator({ responseDelayMs: 300 });
+    const events = [];
+    ['hold', 'resume', 'mute', 'callended'].forEach(type => {
+        simulator.addEventListener(type, event => events.push({ type, callId: event.detail.callId }));
+    });
+    simulator.runScript('secondCall');
+    jest.advanceTimersByTime(11000);
+    events.length = 0;
+    return { simulator, events };
+}
+
+describe('TelephonySimulator', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    it('acts on the active call', async () => {
+        const { simulator, events } = startSecondCall();
+
+        await simulator.mute();
+        jest.advanceTimersByTime(300);
+
+        expect(events).toEqual([{ type: 'mute', callId: 'sim-call-2' }]);
+        expect(simulator.callState).toMatchObject({ callId: 'sim-call-2', isMuted: true });
+        expect(simulator.otherCallState.isMuted).toBe(false);
+    });
+
+    it('switches calls with swap()', async () => {
+        const { simulator, events } = startSecondCall();
+
+        await simulator.swap('Third_Party', 'Initial_Caller');
+        jest.advanceTimersByTime(300);
+
+        expect(events).toEqual([{ type: 'hold', callId: 'sim-call-2' }, { type: 'resume', callId: 'sim-call-1' }]);
+        expect(simulator.callState).toMatchObject({ callId: 'sim-call-1', isOnHold: false });
+        expect(simulator.otherCallState).toMatchObject({ callId: 'sim-call-2', isOnHold: true });
+    });
+
+    it('rejects a swap that does not name two legs', async () => {
+        const { simulator } = startSecondCall();
+
+        await expect(simulator.swap('Initial_Caller', 'Initial_Caller')).rejects.toThrow('two different participant types');
+    });
+
+    it('rejects actions when no call is live', async () => {
+        const simulator = new TelephonySimulator();
+
+        await expect(simulator.endCall()).rejects.toThrow('No active simulated call');
+    });
+});
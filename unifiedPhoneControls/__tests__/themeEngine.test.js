@@ -0,0 +1,95 @@
+import {
+    parseColor,
+    contrastRatio,
+    ensureContrast,
+    pickTextColor,
+    parseThemeTokens,
+    resolveTheme
+} from '../themeEngine';
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+
+describe('themeEngine', () => {
+    it('parses hex, rgb, hsl, styling hooks and gradients', () => {
+        expect(parseColor('#0176d3')).toEqual({ r: 1, g: 118, b: 211, a: 1 });
+        expect(parseColor('#fff')).toEqual(WHITE);
+        expect(parseColor('rgba(0, 0, 0, 0.85)')).toEqual({ r: 0, g: 0, b: 0, a: 0.85 });
+        expect(parseColor('rgb(255 0 0 / 50%)')).toEqual({ r: 255, g: 0, b: 0, a: 0.5 });
+        expect(parseColor('hsl(0, 0%, 100%)')).toEqual(WHITE);
+        expect(parseColor('var(--slds-g-color-accent-1, #000)')).toEqual(BLACK);
+        expect(parseColor('var(--slds-g-color-accent-1, #000)', () => '#ffffff')).toEqual(WHITE);
+        expect(parseColor('linear-gradient(145deg, #000 0%, #fff 100%)')).toEqual(BLACK);
+        expect(parseColor('not-a-color')).toBe(null);
+    });
+
+    it('computes WCAG contrast ratios', () => {
+        expect(Number(contrastRatio(BLACK, WHITE).toFixed(1))).toBe(21);
+        expect(Number(contrastRatio(parseColor('#767676'), WHITE).toFixed(2))).toBe(4.54);
+        // Translucent black over a white page is mid grey
+        expect(contrastRatio(WHITE, { r: 0, g: 0, b: 0, a: 0.5 }) < 5).toBe(true);
+    });
+
+    it('corrects colors that fall short of the minimum', () => {
+        const result = ensureContrast(parseColor('#000080'), parseColor('#101010'), 3);
+
+        expect(result.adjusted).toBe(true);
+        expect(result.ratio >= 3).toBe(true);
+        expect(ensureContrast(WHITE, BLACK, 4.5)).toMatchObject({ adjusted: false });
+    });
+
+    it('picks white text on dark backgrounds and near-black on light ones', () => {
+        expect(pickTextColor(parseColor('#03234d'))).toBe('#ffffff');
+        expect(pickTextColor(parseColor('#ffcc00'))).toBe('#181818');
+    });
+
+    it('reads token overrides and reports problems', () => {
+        expect(parseThemeTokens('{"accent":"#ff6a00","dark":{"background":"#000"}}'))
+            .toEqual({ tokens: { accent: '#ff6a00' }, darkTokens: { background: '#000' }, error: '' });
+        expect(parseThemeTokens('{"accent":').error).toContain('not valid JSON');
+        expect(parseThemeTokens('{"glow":"#fff"}').error).toBe('Unknown theme tokens ignored: glow');
+        expect(parseThemeTokens('')).toEqual({ tokens: {}, darkTokens: {}, error: '' });
+    });
+
+    it('keeps the original look of the legacy presets', () => {
+        const modern = resolveTheme({ preset: 'Modern' });
+        const minimal = resolveTheme({ preset: 'minimal' });
+
+        expect(modern.tone).toBe('dark');
+        expect(modern.warnings).toEqual([]);
+        expect(modern.style).toContain('background: linear-gradient(145deg, rgba(0, 0, 0, 0.85) 0%, rgba(0, 0, 0, 0.9) 100%)');
+        expect(minimal.tone).toBe('light');
+        expect(minimal.tokens.text).toBe('#181818');
+        expect(minimal.style).toContain('--upc-color-border: #e5e7eb');
+    });
+
+    it('uses the custom background color and fixes low-contrast overrides', () => {
+        const theme = resolveTheme({ preset: 'custom', backgroundColor: '#ffcc00', tokens: { text: '#ffffff' } });
+
+        expect(theme.tone).toBe('light');
+        expect(theme.style).toContain('linear-gradient(145deg, #ffcc00 0%, rgb(230, 184, 0) 100%)');
+        expect(theme.checks.find(check => check.token === 'text')).toMatchObject({ passed: true, adjusted: true });
+        expect(theme.warnings.length).toBe(2); // text, and the default accent on yellow
+    });
+
+    it('switches to the dark variant and dark overrides in dark mode', () => {
+        const theme = resolveTheme({
+            preset: 'cosmos',
+            tokens: { accent: '#7fb2ff' },
+            darkTokens: { border: '#ffffff' },
+            darkMode: true
+        });
+
+        expect(theme.preset).toBe('cosmosDark');
+        expect(theme.tone).toBe('dark');
+        expect(theme.tokens.border).toBe('#ffffff');
+        expect(resolveTheme({ preset: 'cosmos', darkTokens: { border: '#ffffff' } }).tokens.border).toContain('--slds-g-color-border-1');
+    });
+
+    it('falls back to modern for unknown presets', () => {
+        const theme = resolveTheme({ preset: 'neon' });
+
+        expect(theme.preset).toBe('modern');
+        expect(theme.warnings).toEqual(['Unknown toolbar style "neon", using modern']);
+    });
+});
@@ -0,0 +1,244 @@
+import { createElement } from 'lwc';
+import UnifiedPhoneControls from 'c/unifiedPhoneControls';
+import { subscribe } from 'lightning/messageService';
+
+// Hand the component a message context as soon as it connects, as Lightning does, so it subscribes
+jest.mock('lightning/messageService', () => {
+    const actual = jest.requireActual('lightning/messageService');
+    class MessageContext {
+        constructor(dataCallback) {
+            this.dataCallback = dataCallback;
+        }
+        connect() {
+            this.dataCallback({});
+        }
+        update() {}
+        disconnect() {}
+    }
+    return { ...actual, MessageContext };
+});
+
+const RECORD_ID = '0LQ5e000000XyzAGAS';
+
+// Timers are faked, so settle promise callbacks and re-renders with microtasks only
+const flushPromises = async () => {
+    for (let i = 0; i < 5; i++) {
+        await Promise.resolve();
+    }
+};
+
+async function advance(ms) {
+    jest.advanceTimersByTime(ms);
+    await flushPromises();
+}
+
+function createComponent() {
+    const element = createElement('c-unified-phone-controls', { is: UnifiedPhoneControls });
+    element.recordId = RECORD_ID;
+    element.debugMode = true;
+    document.body.appendChild(element);
+    return element;
+}
+
+// Pick a script in the debug box and start it; the first scripted event fires at 0ms
+async function startSimulatedCall(element, script) {
+    const combobox = element.shadowRoot.querySelector('lightning-combobox.simulator-script');
+    combobox.dispatchEvent(new CustomEvent('change', { detail: { value: script } }));
+    element.shadowRoot.querySelector('lightning-button.simulator-start').click();
+    await advance(0);
+}
+
+function findButtonByIcon(element, iconName) {
+    return Array.from(element.shadowRoot.querySelectorAll('lightning-button-icon'))
+        .find(button => button.iconName === iconName);
+}
+
+function getPanel(element) {
+    return element.shadowRoot.querySelector('.phone-control-panel');
+}
+
+function getCallTime(element) {
+    return element.shadowRoot.querySelector('.metric-value').textContent;
+}
+
+function getHoldTime(element) {
+    return element.shadowRoot.querySelector('.metric-value.hold-time').textContent;
+}
+
+describe('c-unified-phone-controls with the telephony simulator', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        window.sessionStorage.clear();
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    it('stays hidden until a call starts', () => {
+        const element = createComponent();
+
+        expect(getPanel(element)).toBeNull();
+        expect(element.shadowRoot.querySelector('lightning-button.simulator-start')).not.toBeNull();
+    });
+
+    it('shows the controls and runs the call timer once the call connects', async () => {
+        const element = createComponent();
+        await startSimulatedCall(element, 'inbound');
+        await advance(2000);
+
+        expect(getPanel(element)).not.toBeNull();
+        expect(getCallTime(element)).toBe('00:00:00');
+
+        await advance(5000);
+        expect(getCallTime(element)).toBe('00:00:05');
+    });
+
+    it('times a hold placed from the toolbar', async () => {
+        const element = createComponent();
+        await startSimulatedCall(element, 'inbound');
+        await advance(2000);
+
+        findButtonByIcon(element, 'utility:paused_call').click();
+        await advance(300);
+        expect(findButtonByIcon(element, 'utility:play')).toBeDefined();
+
+        await advance(10000);
+        findButtonByIcon(element, 'utility:play').click();
+        await advance(300);
+
+        expect(findButtonByIcon(element, 'utility:paused_call')).toBeDefined();
+        expect(getHoldTime(element)).toBe('00:10');
+    });
+
+    it('ignores a stray resume and a duplicated hold event', async () => {
+        const element = createComponent();
+        await startSimulatedCall(element, 'unreliableEvents');
+
+        // Connected at 2s, stray resume at 4s, hold at 6s and again at 6.5s, resume at 11.5s
+        await advance(2000);
+        await advance(2000);
+        expect(findButtonByIcon(element, 'utility:paused_call')).toBeDefined();
+
+        await advance(2000);
+        await advance(500);
+        await advance(5000);
+
+        expect(getHoldTime(element)).toBe('00:05');
+    });
+
+    it('tracks mute and hides the controls when the customer hangs up', async () => {
+        const element = createComponent();
+        await startSimulatedCall(element, 'muteAndHangup');
+        await advance(2000);
+
+        await advance(3000);
+        expect(findButtonByIcon(element, 'utility:volume_off')).toBeDefined();
+
+        await advance(5000);
+        expect(findButtonByIcon(element, 'utility:volume_high')).toBeDefined();
+
+        await advance(5000);
+        expect(getPanel(element)).toBeNull();
+    });
+
+    it('ends the call from the toolbar', async () => {
+        const element = createComponent();
+        await startSimulatedCall(element, 'inbound');
+        await advance(2000);
+
+        findButtonByIcon(element, 'utility:end_call').click();
+        await advance(300);
+
+        expect(getPanel(element)).toBeNull();
+    });
+
+    it('only takes call commands that name this Voice Call', async () => {
+        const element = createComponent();
+        await startSimulatedCall(element, 'inbound');
+        await advance(2000);
+        const handleCommand = subscribe.mock.calls[subscribe.mock.calls.length - 1][2];
+
+        handleCommand({ messageType: 'command', command: 'end' });
+        await advance(300);
+        expect(getPanel(element)).not.toBeNull();
+
+        handleCommand({ messageType: 'command', command: 'end', recordId: RECORD_ID });
+        await advance(300);
+        expect(getPanel(element)).toBeNull();
+    });
+
+    it('keeps timing a held call in the background and switches between calls', async () => {
+        const element = createComponent();
+        await startSimulatedCall(element, 'secondCall');
+
+        // First call connects at 2s and is held at 7s; the second call rings at 9s and connects at 11s
+        await advance(2000);
+        await advance(5000);
+        await advance(2000);
+        await advance(2000);
+        await advance(3000);
+
+        let rows = element.shadowRoot.querySelectorAll('.call-switcher-row');
+        expect(rows.length).toBe(2);
+        expect(getCallTime(element)).toBe('00:00:03');
+        expect(rows[1].querySelector('.call-switcher-status').textContent).toBe('On Hold');
+        expect(rows[1].querySelector('.call-switcher-hold-time').textContent).toBe('00:07');
+
+        element.shadowRoot.querySelector('lightning-button.call-switcher-button').click();
+        await flushPromises();
+        await advance(300);
+
+        // The first call is back in front with its own times; the second is now the held one
+        rows = element.shadowRoot.querySelectorAll('.call-switcher-row');
+        expect(getCallTime(element)).toBe('00:00:12');
+        expect(getHoldTime(element)).toBe('00:07');
+        expect(rows[1].querySelector('.call-switcher-status').textContent).toBe('On Hold');
+        expect(rows[1].querySelector('.call-switcher-time').textContent).toBe('00:00:03');
+    });
+
+    it('ends the call in front after switching', async () => {
+        const element = createComponent();
+        await startSimulatedCall(element, 'secondCall');
+        await advance(2000);
+        await advance(5000);
+        await advance(2000);
+        await advance(2000);
+
+        element.shadowRoot.querySelector('lightning-button.call-switcher-button').click();
+        await flushPromises();
+        await advance(300);
+        await advance(5000);
+
+        // The first call is in front; ending it brings the second one back, still on hold
+        findButtonByIcon(element, 'utility:end_call').click();
+        await advance(300);
+
+        expect(getPanel(element)).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.call-switcher-section')).toBeNull();
+        expect(getHoldTime(element)).toBe('00:05');
+        expect(findButtonByIcon(element, 'utility:play')).toBeDefined();
+    });
+
+    it('brings the held call forward when the active call ends', async () => {
+        const element = createComponent();
+        await startSimulatedCall(element, 'secondCall');
+        await advance(2000);
+        await advance(5000);
+        await advance(2000);
+        await advance(2000);
+
+        findButtonByIcon(element, 'utility:end_call').click();
+        await advance(300);
+
+        expect(getPanel(element)).not.toBeNull();
+        expect(element.shadowRoot.querySelector('.call-switcher-section')).toBeNull();
+        expect(getHoldTime(element)).toBe('00:04');
+        expect(findButtonByIcon(element, 'utility:play')).toBeDefined();
+    });
+});
@@ -0,0 +1,196 @@
+/**
+ * Call quality scoring for Unified Phone Controls.
+ * Turns toolkit/softphone audio statistics into samples of jitter, packet loss, round trip
+ * time and MOS (mean opinion score, 1-5), and rates each sample good, fair or poor.
+ */
+
+export const QUALITY_LEVELS = {
+    UNKNOWN: 'unknown',
+    GOOD: 'good',
+    FAIR: 'fair',
+    POOR: 'poor'
+};
+
+// A sample is rated by its worst metric
+const THRESHOLDS = {
+    jitterMs: { fair: 30, poor: 50 },
+    packetLossPercent: { fair: 1, poor: 3 },
+    roundTripMs: { fair: 300, poor: 500 },
+    mos: { fair: 4.0, poor: 3.5 } // Lower is worse
+};
+
+const LEVEL_ORDER = [QUALITY_LEVELS.UNKNOWN, QUALITY_LEVELS.GOOD, QUALITY_LEVELS.FAIR, QUALITY_LEVELS.POOR];
+
+const CHANNEL_LABELS = {
+    input: 'Agent to customer',
+    output: 'Customer to agent'
+};
+
+function toNumber(value) {
+    const number = Number(value);
+    return value === null || value === undefined || value === '' || isNaN(number) ? null : number;
+}
+
+function round(value, places) {
+    return value === null ? null : Number(value.toFixed(places));
+}
+
+/**
+ * Estimate MOS with the simplified ITU-T G.107 E-model when the provider doesn't report one.
+ */
+export function estimateMos({ jitterMs, packetLossPercent, roundTripMs }) {
+    if (jitterMs === null && packetLossPercent === null && roundTripMs === null) {
+        return null;
+    }
+
+    const latency = (roundTripMs || 0) / 2 + 2 * (jitterMs || 0) + 10;
+    let rFactor = 93.2 - (latency < 160 ? latency / 40 : (latency - 120) / 10);
+    rFactor -= 2.5 * (packetLossPercent || 0);
+    rFactor = Math.max(0, Math.min(100, rFactor));
+    return 1 + 0.035 * rFactor + 0.000007 * rFactor * (rFactor - 60) * (100 - rFactor);
+}
+
+function toChannelSample(channel, stats) {
+    if (!stats) {
+        return null;
+    }
+
+    const packets = toNumber(stats.packetsCount);
+    const lost = toNumber(stats.packetsLost);
+    const sample = {
+        channel: channel,
+        jitterMs: toNumber(stats.jitterBufferMillis ?? stats.jitterMs ?? stats.jitter),
+        packetLossPercent: packets ? (lost || 0) / packets * 100 : toNumber(stats.packetLossPercent ?? stats.packetLoss),
+        roundTripMs: toNumber(stats.roundTripTimeMillis ?? stats.roundTripMs ?? stats.rtt),
+        mos: toNumber(stats.mos)
+    };
+    if (sample.mos === null) {
+        sample.mos = estimateMos(sample);
+    }
+    return sample;
+}
+
+/**
+ * Read an audio stats event. Service Cloud Voice sends { stats: [{ inputChannelStats, outputChannelStats }] };
+ * other softphones may send flat { jitter, packetLoss, rtt, mos } values, which are treated as one channel.
+ * Returns one sample per channel.
+ */
+export function readAudioStats(detail) {
+    if (!detail) {
+        return [];
+    }
+
+    if (Array.isArray(detail.stats)) {
+        const latest = detail.stats[detail.stats.length - 1] || {};
+        return [
+            toChannelSample('input', latest.inputChannelStats),
+            toChannelSample('output', latest.outputChannelStats)
+        ].filter(sample => sample);
+    }
+    return [toChannelSample('output', detail)];
+}
+
+function rateMetric(metric, value) {
+    if (value === null) {
+        return QUALITY_LEVELS.UNKNOWN;
+    }
+    const threshold = THRESHOLDS[metric];
+    if (metric === 'mos') {
+        return value < threshold.poor ? QUALITY_LEVELS.POOR : value < threshold.fair ? QUALITY_LEVELS.FAIR : QUALITY_LEVELS.GOOD;
+    }
+    return value > threshold.poor ? QUALITY_LEVELS.POOR : value > threshold.fair ? QUALITY_LEVELS.FAIR : QUALITY_LEVELS.GOOD;
+}
+
+/**
+ * Rate a channel sample. Returns { level, reasons } where reasons name the metrics that are fair or poor.
+ */
+export function rateSample(sample) {
+    let level = QUALITY_LEVELS.UNKNOWN;
+    const reasons = [];
+
+    Object.keys(THRESHOLDS).forEach(metric => {
+        const metricLevel = rateMetric(metric, sample[metric]);
+        if (LEVEL_ORDER.indexOf(metricLevel) > LEVEL_ORDER.indexOf(level)) {
+            level = metricLevel;
+        }
+        if (metricLevel === QUALITY_LEVELS.FAIR || metricLevel === QUALITY_LEVELS.POOR) {
+            reasons.push(metric);
+        }
+    });
+    return { level, reasons };
+}
+
+/**
+ * Combine the channels of one stats event into a stored sample. The per-channel figures are kept
+ * so supervisors can tell a problem on the agent's side from one on the customer's network.
+ */
+export function buildQualitySample(channelSamples, callOffsetSeconds) {
+    const channels = channelSamples.map(sample => {
+        const rating = rateSample(sample);
+        return {
+            channel: sample.channel,
+            label: CHANNEL_LABELS[sample.channel],
+            jitterMs: round(sample.jitterMs, 0),
+            packetLossPercent: round(sample.packetLossPercent, 2),
+            roundTripMs: round(sample.roundTripMs, 0),
+            mos: round(sample.mos, 2),
+            level: rating.level,
+            reasons: rating.reasons
+        };
+    });
+    const worst = channels.reduce((current, channel) => (
+        !current || LEVEL_ORDER.indexOf(channel.level) > LEVEL_ORDER.indexOf(current.level) ? channel : current
+    ), null);
+
+    return {
+        timestamp: new Date().toISOString(),
+        callOffsetSeconds: callOffsetSeconds,
+        level: worst ? worst.level : QUALITY_LEVELS.UNKNOWN,
+        worstChannel: worst ? worst.channel : null,
+        channels: channels
+    };
+}
+
+// Averages and extremes across a call's samples, for the Voice Call summary fields
+export function summarizeQualitySamples(samples) {
+    const channels = samples.flatMap(sample => sample.channels);
+    const values = metric => channels.map(channel => channel[metric]).filter(value => value !== null);
+    const mosValues = values('mos');
+
+    return {
+        sampleCount: samples.length,
+        averageMos: mosValues.length ? round(mosValues.reduce((sum, value) => sum + value, 0) / mosValues.length, 2) : null,
+        lowestMos: mosValues.length ? Math.min(...mosValues) : null,
+        maxJitterMs: values('jitterMs').length ? Math.max(...values('jitterMs')) : null,
+        maxPacketLossPercent: values('packetLossPercent').length ? Math.max(...values('packetLossPercent')) : null,
+        poorSampleCount: samples.filter(sample => sample.level === QUALITY_LEVELS.POOR).length
+    };
+}
+
+/**
+ * JSON for the Voice Call samples field, no longer than maxLength. Channels drop the label and
+ * reasons, which are derived from the stored figures, and the oldest samples go first if the
+ * call has more than fit.
+ */
+export function serializeQualitySamples(samples, maxLength) {
+    const stored = samples.map(sample => JSON.stringify({
+        ...sample,
+        channels: sample.channels.map(channel => ({
+            channel: channel.channel,
+            jitterMs: channel.jitterMs,
+            packetLossPercent: channel.packetLossPercent,
+            roundTripMs: channel.roundTripMs,
+            mos: channel.mos,
+            level: channel.level
+        }))
+    }));
+
+    // '[' + ']' plus a comma between samples
+    let length = stored.reduce((total, json) => total + json.length + 1, 1);
+    let first = 0;
+    while (first < stored.length && length > maxLength) {
+        length -= stored[first].length + 1;
+        first += 1;
+    }
+    return `[${stored.slice(first).join(',')}]`;
+}
@@ -0,0 +1,154 @@
+/**
+ * Call state machine for Unified Phone Controls.
+ * Toolkit events are dispatched here before the component acts on them. Only legal transitions
+ * are accepted, so a missed or repeated event can't flip the hold timer for the rest of the call.
+ */
+
+export const CALL_STATES = {
+    IDLE: 'No Call',
+    RINGING: 'Incoming',
+    CONNECTED: 'Connected',
+    ON_HOLD: 'On Hold',
+    ENDED: 'Ended'
+};
+
+const LIVE_STATES = [CALL_STATES.RINGING, CALL_STATES.CONNECTED, CALL_STATES.ON_HOLD];
+
+// Event type -> state it may be applied in -> resulting state
+const TRANSITIONS = {
+    callstarted: {
+        [CALL_STATES.IDLE]: CALL_STATES.RINGING,
+        [CALL_STATES.ENDED]: CALL_STATES.RINGING
+    },
+    callconnected: {
+        [CALL_STATES.IDLE]: CALL_STATES.CONNECTED,
+        [CALL_STATES.RINGING]: CALL_STATES.CONNECTED,
+        [CALL_STATES.ENDED]: CALL_STATES.CONNECTED
+    },
+    hold: {
+        [CALL_STATES.CONNECTED]: CALL_STATES.ON_HOLD
+    },
+    resume: {
+        [CALL_STATES.ON_HOLD]: CALL_STATES.CONNECTED
+    },
+    callended: {
+        [CALL_STATES.RINGING]: CALL_STATES.ENDED,
+        [CALL_STATES.CONNECTED]: CALL_STATES.ENDED,
+        [CALL_STATES.ON_HOLD]: CALL_STATES.ENDED
+    }
+};
+
+// Mute is tracked alongside the call state; it can change on any live call
+const MUTE_EVENTS = { mute: true, unmute: false };
+
+const SEEN_EVENT_LIMIT = 100; // Event keys remembered for de-duplication
+
+export default class CallStateMachine {
+    state = CALL_STATES.IDLE;
+    isMuted = false;
+    seenEventKeys = [];
+
+    /**
+     * Apply a toolkit event. Returns { accepted, duplicate, from, to, reason }; the caller
+     * runs the side effects (timers, toasts, saves) only when accepted is true.
+     */
+    dispatch(type, detail = {}) {
+        const from = this.state;
+        const eventKey = this.getEventKey(type, detail);
+
+        if (eventKey && this.seenEventKeys.includes(eventKey)) {
+            return { accepted: false, duplicate: true, from, to: from, reason: `Duplicate ${type} event ${eventKey}` };
+        }
+
+        const result = this.getTransition(type);
+        if (!result.accepted) {
+            return { ...result, duplicate: false, from, to: from };
+        }
+
+        if (eventKey) {
+            this.seenEventKeys = [...this.seenEventKeys, eventKey].slice(-SEEN_EVENT_LIMIT);
+        }
+        if (type in MUTE_EVENTS) {
+            this.isMuted = MUTE_EVENTS[type];
+        } else {
+            this.state = result.to;
+        }
+        return { accepted: true, duplicate: false, from, to: this.state, reason: '' };
+    }
+
+    getTransition(type) {
+        if (type in MUTE_EVENTS) {
+            if (!this.isLive) {
+                return { accepted: false, reason: `Cannot ${type} when the call is ${this.state}` };
+            }
+            if (this.isMuted === MUTE_EVENTS[type]) {
+                return { accepted: false, reason: `Already ${this.isMuted ? 'muted' : 'unmuted'}` };
+            }
+            return { accepted: true };
+        }
+
+        const allowed = TRANSITIONS[type];
+        if (!allowed) {
+            return { accepted: false, reason: `Unknown event ${type}` };
+        }
+        if (!allowed[this.state]) {
+            return { accepted: false, reason: `${type} is not allowed when the call is ${this.state}` };
+        }
+        return { accepted: true, to: allowed[this.state] };
+    }
+
+    // Toolkit events carry an id on some providers and a timestamp on others
+    getEventKey(type, detail) {
+        if (!detail) {
+            return null;
+        }
+        if (detail.eventId) {
+            return `${type}:${detail.eventId}`;
+        }
+        if (detail.timestamp) {
+            return `${type}:${detail.timestamp}`;
+        }
+        return null;
+    }
+
+    /**
+     * Compare the machine with the state the toolkit reports (getCallState()) and return the
+     * events that would bring the machine in line, in the order they should be applied.
+     */
+    reconcile(toolkitState) {
+        if (!toolkitState) {
+            return [];
+        }
+
+        const corrections = [];
+        if (toolkitState.isActive === false) {
+            return this.isLive ? ['callended'] : [];
+        }
+        if (!this.isLive) {
+            return corrections;
+        }
+
+        if (typeof toolkitState.isOnHold === 'boolean') {
+            if (toolkitState.isOnHold && this.state === CALL_STATES.CONNECTED) {
+                corrections.push('hold');
+            } else if (!toolkitState.isOnHold && this.state === CALL_STATES.ON_HOLD) {
+                corrections.push('resume');
+            }
+        }
+        if (typeof toolkitState.isMuted === 'boolean' && toolkitState.isMuted !== this.isMuted) {
+            corrections.push(toolkitState.isMuted ? 'mute' : 'unmute');
+        }
+        return corrections;
+    }
+
+    // Set the state directly, e.g. after restoring a call from the session store
+    reset(state = CALL_STATES.IDLE, isMuted = false) {
+        this.state = state;
+        this.isMuted = isMuted;
+        this.seenEventKeys = [];
+    }
+
+    get isLive() {
+        return LIVE_STATES.includes(this.state);
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * Concurrent call tracking for Unified Phone Controls.
+ * The call in the foreground lives in the component's own fields. Every other live call is kept as
+ * a snapshot in the shape persistCallState() stores, keyed by the provider's call id. Snapshots
+ * hold start times rather than running totals, so a background call's duration and hold time keep
+ * counting until it is switched back to or ends.
+ */
+
+/**
+ * Call id from a toolkit event, or '' when the provider doesn't send one. Without ids every event
+ * applies to the call in the foreground, as it did before concurrent calls were tracked.
+ */
+export function getEventCallId(detail) {
+    if (!detail) {
+        return '';
+    }
+    return detail.callId || detail.voiceCallId || detail.contactId || '';
+}
+
+function closeHold(snapshot, now) {
+    if (!snapshot.isOnHold || !snapshot.currentHoldStart) {
+        return { ...snapshot, isOnHold: false, currentHoldStart: null };
+    }
+    const holdSessions = snapshot.holdSessions || [];
+    const duration = Math.floor((now - snapshot.currentHoldStart) / 1000);
+    return {
+        ...snapshot,
+        isOnHold: false,
+        currentHoldStart: null,
+        totalHoldTime: (snapshot.totalHoldTime || 0) + duration,
+        holdSessions: [...holdSessions, {
+            sessionNumber: holdSessions.length + 1,
+            startTime: new Date(snapshot.currentHoldStart).toISOString(),
+            endTime: new Date(now).toISOString(),
+            duration: duration
+        }]
+    };
+}
+
+function closeMute(snapshot, now) {
+    if (!snapshot.muteStart) {
+        return { ...snapshot, isMuted: false };
+    }
+    return {
+        ...snapshot,
+        isMuted: false,
+        muteStart: null,
+        totalMuteTime: (snapshot.totalMuteTime || 0) + Math.floor((now - snapshot.muteStart) / 1000)
+    };
+}
+
+/**
+ * Apply an event the state machine accepted to a background call. Returns a new snapshot; an
+ * ended call also gets endedAt, with its open hold and mute sessions closed.
+ */
+export function applyCallEvent(snapshot, type, now = Date.now()) {
+    switch (type) {
+        case 'callconnected':
+            return { ...snapshot, callStatus: 'Connected', callStartTime: snapshot.callStartTime || now };
+        case 'hold':
+            return { ...snapshot, isOnHold: true, currentHoldStart: now };
+        case 'resume':
+            return closeHold(snapshot, now);
+        case 'mute':
+            return { ...snapshot, isMuted: true, muteStart: now };
+        case 'unmute':
+            return closeMute(snapshot, now);
+        case 'callended':
+            return { ...closeMute(closeHold(snapshot, now), now), callStatus: 'Ended', endedAt: now };
+        default:
+            return snapshot;
+    }
+}
+
+/**
+ * Call and hold time in seconds for a snapshot, including any hold still running.
+ */
+export function measureCall(snapshot, now = Date.now()) {
+    const endedAt = snapshot.endedAt || now;
+    const currentHold = snapshot.isOnHold && snapshot.currentHoldStart
+        ? Math.floor((endedAt - snapshot.currentHoldStart) / 1000)
+        : 0;
+    return {
+        durationSeconds: snapshot.callStartTime ? Math.max(0, Math.floor((endedAt - snapshot.callStartTime) / 1000)) : 0,
+        holdSeconds: (snapshot.totalHoldTime || 0) + currentHold
+    };
+}
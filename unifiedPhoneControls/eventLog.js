@@ -0,0 +1,77 @@
+/**
+ * Structured event log for Unified Phone Controls.
+ * Keeps the newest entries in a fixed-size ring buffer and exports them as JSON or CSV
+ * so they can be attached to support escalations.
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const CSV_COLUMNS = ['timestamp', 'level', 'type', 'message', 'payload', 'state'];
+
+export default class EventLog {
+    entries = []; // Oldest first
+    capacity;
+    sequence = 0;
+
+    constructor(capacity = 500) {
+        this.capacity = capacity;
+    }
+
+    add({ level = 'info', type = 'general', message = '', payload, state }) {
+        this.sequence += 1;
+        const entry = {
+            id: this.sequence,
+            timestamp: new Date().toISOString(),
+            level: LOG_LEVELS.includes(level) ? level : 'info',
+            type: type,
+            message: message,
+            payload: payload === undefined ? null : payload,
+            state: state || null
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > this.capacity) {
+            this.entries.splice(0, this.entries.length - this.capacity);
+        }
+        return entry;
+    }
+
+    clear() {
+        this.entries = [];
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    get types() {
+        return [...new Set(this.entries.map(entry => entry.type))].sort();
+    }
+
+    /**
+     * Entries at or above minLevel, optionally of one type, newest first.
+     */
+    filter({ minLevel = 'debug', type = '' } = {}) {
+        const minIndex = Math.max(0, LOG_LEVELS.indexOf(minLevel));
+        return this.entries
+            .filter(entry => LOG_LEVELS.indexOf(entry.level) >= minIndex && (!type || entry.type === type))
+            .reverse();
+    }
+
+    exportJson(entries = this.entries) {
+        return JSON.stringify(entries, null, 2);
+    }
+
+    exportCsv(entries = this.entries) {
+        const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+            const value = entry[column];
+            return toCsvCell(value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+        }).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+    }
+}
+
+function toCsvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,119 @@
+/**
+ * Keyboard shortcut parsing and matching for Unified Phone Controls.
+ * Shortcuts are written as modifier names and a key joined with "+", e.g. "Alt+H" or "Ctrl+Shift+1".
+ */
+
+const MODIFIERS = ['alt', 'ctrl', 'shift', 'meta'];
+const MODIFIER_ALIASES = { control: 'ctrl', option: 'alt', cmd: 'meta', command: 'meta' };
+
+// Shortcuts already taken by Lightning Experience, the Lightning console and the browser
+// (Windows and macOS variants). A call control bound to one of these would either never fire
+// or steal the other action, so it is disabled.
+const RESERVED_SHORTCUTS = [
+    { shortcut: 'Ctrl+/', action: 'Lightning: show keyboard shortcuts' },
+    { shortcut: 'Meta+/', action: 'Lightning: show keyboard shortcuts' },
+    { shortcut: 'Ctrl+S', action: 'Lightning: save record' },
+    { shortcut: 'Meta+S', action: 'Lightning: save record' },
+    { shortcut: 'Ctrl+F', action: 'Browser: find in page' },
+    { shortcut: 'Meta+F', action: 'Browser: find in page' },
+    { shortcut: 'Ctrl+W', action: 'Browser: close tab' },
+    { shortcut: 'Meta+W', action: 'Browser: close tab' },
+    { shortcut: 'Ctrl+R', action: 'Browser: reload' },
+    { shortcut: 'Meta+R', action: 'Browser: reload' },
+    { shortcut: 'Ctrl+T', action: 'Browser: new tab' },
+    { shortcut: 'Meta+T', action: 'Browser: new tab' },
+    { shortcut: 'Ctrl+N', action: 'Browser: new window' },
+    { shortcut: 'Meta+N', action: 'Browser: new window' },
+    { shortcut: 'Ctrl+L', action: 'Browser: address bar' },
+    { shortcut: 'Meta+L', action: 'Browser: address bar' },
+    { shortcut: 'Ctrl+P', action: 'Browser: print' },
+    { shortcut: 'Meta+P', action: 'Browser: print' },
+    { shortcut: 'Alt+D', action: 'Browser: address bar' },
+    { shortcut: 'Alt+F', action: 'Browser: menu' },
+    { shortcut: 'Alt+ArrowLeft', action: 'Browser: back' },
+    { shortcut: 'Alt+ArrowRight', action: 'Browser: forward' }
+];
+
+/**
+ * Parse a shortcut string into its modifiers and key.
+ * Returns null for an empty string and { error } when the shortcut can't be used.
+ */
+export function parseShortcut(text) {
+    if (!text || !String(text).trim()) {
+        return null;
+    }
+
+    const parts = String(text).split('+').map(part => part.trim()).filter(part => part);
+
+    const shortcut = { alt: false, ctrl: false, shift: false, meta: false, key: '' };
+    for (const part of parts) {
+        const name = MODIFIER_ALIASES[part.toLowerCase()] || part.toLowerCase();
+        if (MODIFIERS.includes(name)) {
+            shortcut[name] = true;
+        } else if (shortcut.key) {
+            return { error: `"${text}" has more than one key` };
+        } else {
+            shortcut.key = part.length === 1 ? part.toUpperCase() : part;
+        }
+    }
+
+    if (!shortcut.key) {
+        return { error: `"${text}" has no key` };
+    }
+    // Global shortcuts without a modifier would fire while the agent types in any field
+    if (!shortcut.alt && !shortcut.ctrl && !shortcut.meta) {
+        return { error: `"${text}" needs Alt, Ctrl or Meta` };
+    }
+
+    shortcut.label = formatShortcut(shortcut);
+    return shortcut;
+}
+
+export function formatShortcut(shortcut) {
+    const parts = [];
+    if (shortcut.ctrl) parts.push('Ctrl');
+    if (shortcut.alt) parts.push('Alt');
+    if (shortcut.shift) parts.push('Shift');
+    if (shortcut.meta) parts.push('Meta');
+    parts.push(shortcut.key);
+    return parts.join('+');
+}
+
+/**
+ * Check a keydown event against a parsed shortcut. Letters and digits are matched on
+ * event.code so Alt combinations still work on macOS, where Option changes event.key.
+ */
+export function matchesShortcut(event, shortcut) {
+    if (!shortcut || shortcut.error) {
+        return false;
+    }
+    if (event.altKey !== shortcut.alt || event.ctrlKey !== shortcut.ctrl ||
+        event.shiftKey !== shortcut.shift || event.metaKey !== shortcut.meta) {
+        return false;
+    }
+
+    const key = shortcut.key;
+    if (/^[A-Z]$/.test(key)) {
+        return event.code === `Key${key}`;
+    }
+    if (/^[0-9]$/.test(key)) {
+        return event.code === `Digit${key}` || event.code === `Numpad${key}`;
+    }
+    if (key === 'Space') {
+        return event.code === 'Space';
+    }
+    if (key === '/') {
+        return event.code === 'Slash' || event.key === '/';
+    }
+    return (event.key || '').toLowerCase() === key.toLowerCase();
+}
+
+/**
+ * Return the reserved Lightning or browser shortcut a parsed shortcut collides with, if any.
+ */
+export function findReservedConflict(shortcut) {
+    if (!shortcut || shortcut.error) {
+        return null;
+    }
+    return RESERVED_SHORTCUTS.find(entry => parseShortcut(entry.shortcut).label === shortcut.label) || null;
+}
@@ -0,0 +1,116 @@
+/**
+ * Floating mini-bar placement for Unified Phone Controls.
+ * Positions are the bar's top-left corner in viewport pixels. They are stored relative to the
+ * nearest horizontal and vertical edge, so a bar parked in a corner stays in that corner when the
+ * window is resized or moved to a screen of a different size.
+ */
+
+export const EDGE_MARGIN_PX = 16; // Matches the mini-bar's default 1rem inset
+export const SNAP_DISTANCE_PX = 32;
+export const KEYBOARD_STEP_PX = 10;
+export const KEYBOARD_LARGE_STEP_PX = 50;
+
+const ARROW_DIRECTIONS = {
+    ArrowLeft: { x: -1, y: 0 },
+    ArrowRight: { x: 1, y: 0 },
+    ArrowUp: { x: 0, y: -1 },
+    ArrowDown: { x: 0, y: 1 }
+};
+
+function clampValue(value, min, max) {
+    // A bar larger than the viewport is pinned to the top/left so its handle stays reachable
+    return max < min ? min : Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Keep the whole bar inside the viewport.
+ */
+export function clampPosition({ left, top }, size, viewport) {
+    return {
+        left: clampValue(left, 0, viewport.width - size.width),
+        top: clampValue(top, 0, viewport.height - size.height)
+    };
+}
+
+/**
+ * Pull the bar to the edge margin when it is dropped within SNAP_DISTANCE_PX of an edge.
+ */
+export function snapToEdges({ left, top }, size, viewport) {
+    const rightGap = viewport.width - left - size.width;
+    const bottomGap = viewport.height - top - size.height;
+    let snappedLeft = left;
+    let snappedTop = top;
+
+    if (left < SNAP_DISTANCE_PX) {
+        snappedLeft = EDGE_MARGIN_PX;
+    } else if (rightGap < SNAP_DISTANCE_PX) {
+        snappedLeft = viewport.width - size.width - EDGE_MARGIN_PX;
+    }
+    if (top < SNAP_DISTANCE_PX) {
+        snappedTop = EDGE_MARGIN_PX;
+    } else if (bottomGap < SNAP_DISTANCE_PX) {
+        snappedTop = viewport.height - size.height - EDGE_MARGIN_PX;
+    }
+    return clampPosition({ left: snappedLeft, top: snappedTop }, size, viewport);
+}
+
+/**
+ * Describe a position by its distance from the nearest edges, for storage.
+ * Returns { horizontal: 'left'|'right', x, vertical: 'top'|'bottom', y }.
+ */
+export function toEdgePlacement({ left, top }, size, viewport) {
+    const rightGap = viewport.width - left - size.width;
+    const bottomGap = viewport.height - top - size.height;
+    return {
+        horizontal: left <= rightGap ? 'left' : 'right',
+        x: Math.round(Math.max(0, Math.min(left, rightGap))),
+        vertical: top <= bottomGap ? 'top' : 'bottom',
+        y: Math.round(Math.max(0, Math.min(top, bottomGap)))
+    };
+}
+
+/**
+ * Turn a stored placement back into a position for the current viewport, clamped to fit.
+ */
+export function fromEdgePlacement(placement, size, viewport) {
+    const left = placement.horizontal === 'left' ? placement.x : viewport.width - size.width - placement.x;
+    const top = placement.vertical === 'top' ? placement.y : viewport.height - size.height - placement.y;
+    return clampPosition({ left, top }, size, viewport);
+}
+
+/**
+ * Move the bar for a key press: arrows move one step, or a large step with Shift, and
+ * Home, End, Page Up and Page Down send it to the left, right, top and bottom edge.
+ * Returns null for any other key.
+ */
+export function moveByKey(event, position, size, viewport) {
+    const rightEdge = viewport.width - size.width - EDGE_MARGIN_PX;
+    const bottomEdge = viewport.height - size.height - EDGE_MARGIN_PX;
+    const edgeMoves = {
+        Home: { left: EDGE_MARGIN_PX, top: position.top },
+        End: { left: rightEdge, top: position.top },
+        PageUp: { left: position.left, top: EDGE_MARGIN_PX },
+        PageDown: { left: position.left, top: bottomEdge }
+    };
+    if (edgeMoves[event.key]) {
+        return clampPosition(edgeMoves[event.key], size, viewport);
+    }
+
+    const direction = ARROW_DIRECTIONS[event.key];
+    if (!direction) {
+        return null;
+    }
+    const step = event.shiftKey ? KEYBOARD_LARGE_STEP_PX : KEYBOARD_STEP_PX;
+    return clampPosition({
+        left: position.left + direction.x * step,
+        top: position.top + direction.y * step
+    }, size, viewport);
+}
+
+/**
+ * Key for the screen the window is on. Screens of different sizes keep their own placement,
+ * so moving the console between a laptop and an external monitor restores each one's spot.
+ */
+export function getScreenKey(screen) {
+    return screen ? `${screen.width}x${screen.height}` : 'default';
+}
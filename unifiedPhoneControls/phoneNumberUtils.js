@@ -0,0 +1,217 @@
+/**
+ * Phone number helpers for Unified Phone Controls.
+ * Numbers are dialled and stored in E.164: a + sign, the country code and the subscriber
+ * number, 15 digits at most. Display formatting follows each country's usual digit grouping
+ * for the countries listed in COUNTRIES; other numbers are shown in plain E.164.
+ */
+
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+const ALLOWED_CHARACTERS = /^\+?[\d\s().\-/]+$/;
+
+/**
+ * Calling code -> region and national number grouping. The first pattern whose prefix matches
+ * is used; digits left over after its groups form one last group. trunk is the prefix dialled
+ * before national numbers inside the country.
+ */
+const COUNTRIES = [
+    { code: '1', region: 'US', trunk: '1', patterns: [{ groups: [3, 3, 4] }] },
+    { code: '27', region: 'ZA', trunk: '0', patterns: [{ groups: [2, 3, 4] }] },
+    { code: '31', region: 'NL', trunk: '0', patterns: [{ prefix: /^6/, groups: [1, 4, 4] }, { groups: [2, 3, 4] }] },
+    { code: '32', region: 'BE', trunk: '0', patterns: [{ prefix: /^4/, groups: [3, 2, 2, 2] }, { groups: [1, 3, 2, 2] }] },
+    { code: '33', region: 'FR', trunk: '0', patterns: [{ groups: [1, 2, 2, 2, 2] }] },
+    { code: '34', region: 'ES', trunk: '', patterns: [{ groups: [3, 3, 3] }] },
+    { code: '39', region: 'IT', trunk: '', patterns: [{ prefix: /^0[26]/, groups: [2, 4, 4] }, { groups: [3, 3, 4] }] },
+    { code: '41', region: 'CH', trunk: '0', patterns: [{ groups: [2, 3, 2, 2] }] },
+    { code: '44', region: 'GB', trunk: '0', patterns: [{ prefix: /^7/, groups: [4, 6] }, { prefix: /^2/, groups: [2, 4, 4] }, { groups: [4, 6] }] },
+    { code: '45', region: 'DK', trunk: '', patterns: [{ groups: [2, 2, 2, 2] }] },
+    { code: '46', region: 'SE', trunk: '0', patterns: [{ prefix: /^7/, groups: [2, 3, 2, 2] }, { prefix: /^8/, groups: [1, 3, 3, 2] }, { groups: [2, 3, 2, 2] }] },
+    { code: '47', region: 'NO', trunk: '', patterns: [{ groups: [3, 2, 3] }] },
+    { code: '48', region: 'PL', trunk: '', patterns: [{ groups: [3, 3, 3] }] },
+    { code: '49', region: 'DE', trunk: '0', patterns: [{ prefix: /^1[5-7]/, groups: [3] }, { prefix: /^(30|40|69|89)/, groups: [2] }, { groups: [3] }] },
+    { code: '60', region: 'MY', trunk: '0', patterns: [{ prefix: /^1/, groups: [2, 3, 4] }, { groups: [1, 4, 4] }] },
+    { code: '61', region: 'AU', trunk: '0', patterns: [{ prefix: /^4/, groups: [3, 3, 3] }, { groups: [1, 4, 4] }] },
+    { code: '63', region: 'PH', trunk: '0', patterns: [{ groups: [3, 3, 4] }] },
+    { code: '64', region: 'NZ', trunk: '0', patterns: [{ prefix: /^2/, groups: [2, 3, 4] }, { groups: [1, 3, 4] }] },
+    { code: '65', region: 'SG', trunk: '', patterns: [{ groups: [4, 4] }] },
+    { code: '81', region: 'JP', trunk: '0', patterns: [{ prefix: /^[789]0/, groups: [2, 4, 4] }, { prefix: /^[36]/, groups: [1, 4, 4] }, { groups: [2, 4, 4] }] },
+    { code: '82', region: 'KR', trunk: '0', patterns: [{ prefix: /^2/, groups: [1, 4, 4] }, { groups: [2, 4, 4] }] },
+    { code: '86', region: 'CN', trunk: '0', patterns: [{ prefix: /^1/, groups: [3, 4, 4] }, { prefix: /^(10|2\d)/, groups: [2, 4, 4] }, { groups: [3, 4, 4] }] },
+    { code: '91', region: 'IN', trunk: '0', patterns: [{ groups: [5, 5] }] },
+    { code: '351', region: 'PT', trunk: '', patterns: [{ groups: [3, 3, 3] }] },
+    { code: '353', region: 'IE', trunk: '0', patterns: [{ prefix: /^8/, groups: [2, 3, 4] }, { groups: [1, 3, 4] }] },
+    { code: '852', region: 'HK', trunk: '', patterns: [{ groups: [4, 4] }] },
+    { code: '966', region: 'SA', trunk: '0', patterns: [{ prefix: /^5/, groups: [2, 3, 4] }, { groups: [1, 3, 4] }] },
+    { code: '971', region: 'AE', trunk: '0', patterns: [{ prefix: /^5/, groups: [2, 3, 4] }, { groups: [1, 3, 4] }] }
+];
+
+// +1 is shared across North America; these area codes are Canadian
+const CANADIAN_AREA_CODES = [
+    '204', '226', '236', '249', '250', '263', '289', '306', '343', '354', '365', '367', '368', '382', '387',
+    '403', '416', '418', '428', '431', '437', '438', '450', '468', '474', '506', '514', '519', '548', '579',
+    '581', '584', '587', '604', '613', '639', '647', '672', '683', '705', '709', '742', '753', '778', '780',
+    '782', '807', '819', '825', '867', '873', '879', '902', '905', '942'
+];
+
+export function isE164(phoneNumber) {
+    return E164_PATTERN.test(phoneNumber || '');
+}
+
+/**
+ * Turn a number as typed into E.164. A leading 00 or 011 international prefix becomes +,
+ * and numbers without one get defaultCountryCode. A single trunk 0 is dropped from national
+ * numbers (enter Italian numbers with +39, as they keep it).
+ */
+export function normalizePhoneNumber(input, defaultCountryCode = '1') {
+    if (!input) {
+        return '';
+    }
+
+    const trimmed = String(input).trim();
+    const digits = trimmed.replace(/\D/g, '');
+    if (trimmed.startsWith('+')) {
+        return `+${digits}`;
+    }
+    if (digits.startsWith('00')) {
+        return `+${digits.substring(2)}`;
+    }
+    if (digits.startsWith('011')) {
+        return `+${digits.substring(3)}`;
+    }
+
+    const countryCode = String(defaultCountryCode || '').replace(/\D/g, '');
+    if (!countryCode) {
+        return '';
+    }
+    if (digits.length === countryCode.length + 10 && digits.startsWith(countryCode)) {
+        // Country code typed without the +
+        return `+${digits}`;
+    }
+    return `+${countryCode}${digits.replace(/^0/, '')}`;
+}
+
+/**
+ * Validate a number for dialling. Returns { valid, e164, error }.
+ */
+export function validatePhoneNumber(input, defaultCountryCode = '1') {
+    const trimmed = String(input || '').trim();
+    if (!trimmed) {
+        return { valid: false, e164: '', error: 'Enter a phone number' };
+    }
+    if (!ALLOWED_CHARACTERS.test(trimmed)) {
+        return { valid: false, e164: '', error: 'Use digits, spaces, ( ) - . and a leading + only' };
+    }
+
+    const e164 = normalizePhoneNumber(trimmed, defaultCountryCode);
+    if (!e164) {
+        return { valid: false, e164: '', error: 'Include the country code, e.g. +44 20 7946 0958' };
+    }
+    if (!isE164(e164)) {
+        return { valid: false, e164: '', error: `${e164} is not a valid international number` };
+    }
+    return { valid: true, e164: e164, error: '' };
+}
+
+function findCountry(e164) {
+    const digits = e164.substring(1);
+    // Calling codes are prefix-free, so at most one of the 1-3 digit prefixes can match
+    return COUNTRIES.find(country => digits.startsWith(country.code)) || null;
+}
+
+function groupDigits(digits, groups) {
+    const parts = [];
+    let position = 0;
+    groups.forEach(size => {
+        if (position < digits.length) {
+            parts.push(digits.substring(position, position + size));
+            position += size;
+        }
+    });
+    if (position < digits.length) {
+        parts.push(digits.substring(position));
+    }
+    return parts;
+}
+
+// Regional indicator symbols for a two-letter region, e.g. GB -> the Union Jack
+export function regionToFlag(region) {
+    if (!/^[A-Z]{2}$/.test(region || '')) {
+        return '';
+    }
+    return String.fromCodePoint(...[...region].map(letter => 0x1f1e6 + letter.charCodeAt(0) - 65));
+}
+
+/**
+ * Describe a number for display. Returns null when it can't be read as a valid number, otherwise
+ * { e164, callingCode, region, flag, international, national }. region, flag and national are
+ * blank for calling codes not in COUNTRIES.
+ */
+export function getPhoneNumberInfo(input, defaultCountryCode = '1') {
+    const result = validatePhoneNumber(input, defaultCountryCode);
+    if (!result.valid) {
+        return null;
+    }
+
+    const e164 = result.e164;
+    const country = findCountry(e164);
+    if (!country) {
+        return { e164, callingCode: '', region: '', flag: '', international: e164, national: '' };
+    }
+
+    const nationalNumber = e164.substring(country.code.length + 1);
+    if (country.code === '1') {
+        if (nationalNumber.length !== 10) {
+            return { e164, callingCode: '1', region: '', flag: '', international: e164, national: '' };
+        }
+        // North American numbers keep the familiar (415) 555-0123 layout
+        const region = CANADIAN_AREA_CODES.includes(nationalNumber.substring(0, 3)) ? 'CA' : 'US';
+        const national = `(${nationalNumber.substring(0, 3)}) ${nationalNumber.substring(3, 6)}-${nationalNumber.substring(6)}`;
+        return { e164, callingCode: '1', region, flag: regionToFlag(region), international: `+1 ${national}`, national };
+    }
+
+    const pattern = country.patterns.find(item => !item.prefix || item.prefix.test(nationalNumber));
+    const grouped = groupDigits(nationalNumber, pattern.groups).join(' ');
+    return {
+        e164,
+        callingCode: country.code,
+        region: country.region,
+        flag: regionToFlag(country.region),
+        international: `+${country.code} ${grouped}`,
+        national: `${country.trunk === '0' ? '0' : ''}${grouped}`
+    };
+}
+
+// Display form of a number, or the input unchanged when it can't be read
+export function formatPhoneNumber(input, defaultCountryCode = '1') {
+    if (!input) {
+        return '';
+    }
+    const info = getPhoneNumberInfo(input, defaultCountryCode);
+    return info ? info.international : input;
+}
+
+/**
+ * Ways the same number is commonly typed into Phone fields, for exact-match lookups.
+ */
+export function getPhoneSearchVariants(info) {
+    if (!info) {
+        return [];
+    }
+
+    const variants = [info.e164, info.international, info.e164.substring(1)];
+    if (info.national) {
+        const nationalDigits = info.national.replace(/\D/g, '');
+        variants.push(info.national, nationalDigits);
+        if (info.callingCode === '1') {
+            const digits = nationalDigits;
+            variants.push(
+                `${digits.substring(0, 3)}-${digits.substring(3, 6)}-${digits.substring(6)}`,
+                `${digits.substring(0, 3)}.${digits.substring(3, 6)}.${digits.substring(6)}`,
+                `1 ${info.national}`,
+                `+1 ${digits.substring(0, 3)} ${digits.substring(3, 6)} ${digits.substring(6)}`
+            );
+        } else {
+            variants.push(`+${info.callingCode} ${info.national}`, `00${info.e164.substring(1)}`);
+        }
+    }
+    return [...new Set(variants)];
+}
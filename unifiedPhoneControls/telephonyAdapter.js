@@ -0,0 +1,304 @@
+/**
+ * Telephony adapters for Unified Phone Controls.
+ * The component talks to whatever getToolkitApi() returns: normally the
+ * lightning-service-cloud-voice-toolkit-api element, or in debug mode the simulator below,
+ * which has the same methods and events so the controls can be exercised without a contact center.
+ */
+
+// Toolkit events the component listens for
+export const TELEPHONY_EVENTS = [
+    'hold', 'resume', 'mute', 'unmute', 'callstarted', 'callconnected',
+    'callended', 'hangup', 'participantadded', 'participantremoved', 'audiostats'
+];
+
+// Stats event in the Service Cloud Voice shape; the given figures apply to the customer's (output) channel
+function audioStats(outputChannelStats) {
+    return {
+        stats: [{
+            inputChannelStats: { packetsCount: 1000, packetsLost: 0, jitterBufferMillis: 10, roundTripTimeMillis: 80 },
+            outputChannelStats: { packetsCount: 1000, roundTripTimeMillis: 80, ...outputChannelStats }
+        }]
+    };
+}
+
+// Scripted calls; each step waits delayMs after the previous one
+export const SIMULATOR_SCRIPTS = {
+    inbound: {
+        label: 'Inbound call',
+        steps: [
+            { event: 'callstarted', delayMs: 0, detail: { phoneNumber: '+14155550123', callType: 'Inbound' } },
+            { event: 'callconnected', delayMs: 2000 }
+        ]
+    },
+    holdAndResume: {
+        label: 'Hold and resume',
+        steps: [
+            { event: 'callstarted', delayMs: 0, detail: { phoneNumber: '+14155550123', callType: 'Inbound' } },
+            { event: 'callconnected', delayMs: 2000 },
+            { event: 'hold', delayMs: 5000 },
+            { event: 'resume', delayMs: 10000 }
+        ]
+    },
+    muteAndHangup: {
+        label: 'Mute, then customer hangs up',
+        steps: [
+            { event: 'callstarted', delayMs: 0, detail: { phoneNumber: '+14155550123', callType: 'Inbound' } },
+            { event: 'callconnected', delayMs: 2000 },
+            { event: 'mute', delayMs: 3000 },
+            { event: 'unmute', delayMs: 5000 },
+            { event: 'hangup', delayMs: 5000 }
+        ]
+    },
+    // Replays a duplicated hold and a stray resume, as some providers send them
+    unreliableEvents: {
+        label: 'Duplicate and out-of-order events',
+        steps: [
+            { event: 'callstarted', delayMs: 0, detail: { phoneNumber: '+14155550123', callType: 'Inbound' } },
+            { event: 'callconnected', delayMs: 2000 },
+            { event: 'resume', delayMs: 2000 },
+            { event: 'hold', delayMs: 2000, detail: { eventId: 'sim-hold-1' } },
+            { event: 'hold', delayMs: 500, detail: { eventId: 'sim-hold-1' } },
+            { event: 'resume', delayMs: 5000 }
+        ]
+    },
+    // Audio stats every 5s: clean, two poor samples on the customer's side, then recovered
+    poorNetwork: {
+        label: 'Poor customer network',
+        steps: [
+            { event: 'callstarted', delayMs: 0, detail: { phoneNumber: '+14155550123', callType: 'Inbound' } },
+            { event: 'callconnected', delayMs: 2000 },
+            { event: 'audiostats', delayMs: 5000, detail: audioStats({ jitterBufferMillis: 12, packetsLost: 0 }) },
+            { event: 'audiostats', delayMs: 5000, detail: audioStats({ jitterBufferMillis: 85, packetsLost: 40 }) },
+            { event: 'audiostats', delayMs: 5000, detail: audioStats({ jitterBufferMillis: 95, packetsLost: 55 }) },
+            { event: 'audiostats', delayMs: 5000, detail: audioStats({ jitterBufferMillis: 15, packetsLost: 2 }) }
+        ]
+    },
+    // The first caller is put on hold and a second call comes in; switch between them with swap()
+    secondCall: {
+        label: 'Second call while on hold',
+        steps: [
+            { event: 'callstarted', delayMs: 0, detail: { callId: 'sim-call-1', phoneNumber: '+14155550123', callType: 'Inbound' } },
+            { event: 'callconnected', delayMs: 2000, detail: { callId: 'sim-call-1' } },
+            { event: 'hold', delayMs: 5000, detail: { callId: 'sim-call-1' } },
+            { event: 'callstarted', delayMs: 2000, detail: { callId: 'sim-call-2', phoneNumber: '+14155550188', callType: 'Inbound' } },
+            { event: 'callconnected', delayMs: 2000, detail: { callId: 'sim-call-2' } }
+        ]
+    }
+};
+
+const SIMULATOR_CONTACTS = [
+    { id: 'sim-queue-billing', type: 'Queue', label: 'Billing Queue' },
+    { id: 'sim-agent-ava', type: 'Agent', label: 'Ava Agent', availability: 'Available' },
+    { id: 'sim-phonebook-support', type: 'PhoneBook', label: 'Tier 2 Support', phoneNumber: '+14155550199' }
+];
+
+const DEFAULT_RESPONSE_DELAY_MS = 300; // Time before the simulator echoes an action as an event
+
+const IDLE_CALL_STATE = { callId: null, isActive: false, isOnHold: false, isMuted: false, connectedTime: null };
+
+function getNextCallState(state, type, detail) {
+    switch (type) {
+        case 'callstarted':
+            return { callId: detail.callId || null, isActive: true, isOnHold: false, isMuted: state.isMuted, connectedTime: null };
+        case 'callconnected':
+            return { ...state, isActive: true, connectedTime: Date.now() };
+        case 'hold':
+        case 'resume':
+            return { ...state, isOnHold: type === 'hold' };
+        case 'mute':
+        case 'unmute':
+            return { ...state, isMuted: type === 'mute' };
+        case 'callended':
+        case 'hangup':
+            return { ...state, isActive: false, isOnHold: false };
+        default:
+            return state;
+    }
+}
+
+/**
+ * Stand-in for lightning-service-cloud-voice-toolkit-api. Actions update the simulated call
+ * and then fire the matching event, as the real toolkit does once the provider confirms.
+ */
+export default class TelephonySimulator extends EventTarget {
+    callState = { ...IDLE_CALL_STATE };
+    otherCallState = null; // A second live call; actions apply to callState until swap()
+    responseDelayMs = DEFAULT_RESPONSE_DELAY_MS;
+    pendingTimeouts = [];
+    eventCounter = 0;
+    participantCounter = 0;
+
+    constructor({ responseDelayMs = DEFAULT_RESPONSE_DELAY_MS } = {}) {
+        super();
+        this.responseDelayMs = responseDelayMs;
+    }
+
+    /**
+     * Play a scripted call. Accepts a script name from SIMULATOR_SCRIPTS or a list of steps.
+     */
+    runScript(script = 'inbound') {
+        const steps = Array.isArray(script) ? script : SIMULATOR_SCRIPTS[script]?.steps;
+        if (!steps) {
+            throw new Error(`Unknown simulator script: ${script}`);
+        }
+
+        let elapsedMs = 0;
+        steps.forEach(step => {
+            elapsedMs += step.delayMs || 0;
+            this.schedule(() => this.emit(step.event, step.detail), elapsedMs);
+        });
+    }
+
+    // Cancel anything scheduled, e.g. when the component is removed
+    stop() {
+        this.pendingTimeouts.forEach(timeout => clearTimeout(timeout));
+        this.pendingTimeouts = [];
+    }
+
+    emit(type, detail = {}) {
+        this.applyEventToState(type, detail);
+        this.eventCounter += 1;
+        this.dispatchEvent(new CustomEvent(type, {
+            detail: { eventId: `sim-${this.eventCounter}`, timestamp: Date.now(), ...detail }
+        }));
+    }
+
+    // Events carrying the other call's id apply to that call; everything else to the active one
+    applyEventToState(type, detail = {}) {
+        if (this.otherCallState && detail.callId && detail.callId === this.otherCallState.callId) {
+            const otherCallState = getNextCallState(this.otherCallState, type, detail);
+            this.otherCallState = otherCallState.isActive ? otherCallState : null;
+            return;
+        }
+
+        if (type === 'callstarted' && this.callState.isActive) {
+            this.otherCallState = this.callState;
+        }
+        this.callState = getNextCallState(this.callState, type, detail);
+        if (!this.callState.isActive && this.otherCallState) {
+            // The remaining call becomes the active one
+            this.callState = this.otherCallState;
+            this.otherCallState = null;
+        }
+    }
+
+    schedule(callback, delayMs) {
+        const timeout = setTimeout(() => {
+            this.pendingTimeouts = this.pendingTimeouts.filter(item => item !== timeout);
+            callback();
+        }, delayMs);
+        this.pendingTimeouts.push(timeout);
+    }
+
+    // Resolve now and fire the event shortly after, like a provider confirming the action
+    respond(type, detail) {
+        if (!this.callState.isActive) {
+            return Promise.reject(new Error('No active simulated call'));
+        }
+        if (type) {
+            // Tag the event with the call the action was for, in case a swap happens before it fires
+            const callDetail = this.callState.callId ? { callId: this.callState.callId } : {};
+            this.schedule(() => this.emit(type, { ...callDetail, ...detail }), this.responseDelayMs);
+        }
+        return Promise.resolve({ success: true });
+    }
+
+    // =====================================
+    // TOOLKIT API METHODS
+    // =====================================
+
+    // Place an outbound call: it rings, then the customer answers after a couple of seconds
+    dial(phoneNumber, callerId) {
+        if (this.callState.isActive) {
+            return Promise.reject(new Error('A simulated call is already active'));
+        }
+        this.schedule(() => this.emit('callstarted', { phoneNumber, callerId, callType: 'Outbound' }), this.responseDelayMs);
+        this.schedule(() => this.emit('callconnected'), this.responseDelayMs + 2000);
+        return Promise.resolve({ success: true });
+    }
+
+    hold(participantType) {
+        return this.respond('hold', participantType ? { participantType } : {});
+    }
+
+    resume(participantType) {
+        return this.respond('resume', participantType ? { participantType } : {});
+    }
+
+    mute() {
+        return this.respond('mute');
+    }
+
+    unmute() {
+        return this.respond('unmute');
+    }
+
+    endCall(participantType) {
+        if (participantType === 'Third_Party') {
+            return this.respond('participantremoved', { participantType });
+        }
+        return this.respond('callended');
+    }
+
+    // Hold the active leg and resume the other one, like the toolkit's swap(participantType1, participantType2)
+    swap(participantType1, participantType2) {
+        if (!participantType1 || !participantType2 || participantType1 === participantType2) {
+            return Promise.reject(new Error('swap() needs two different participant types'));
+        }
+        if (!this.otherCallState) {
+            return Promise.reject(new Error('No other simulated call to swap to'));
+        }
+        const activeCall = this.callState;
+        const otherCall = this.otherCallState;
+        this.callState = otherCall;
+        this.otherCallState = activeCall;
+        if (!activeCall.isOnHold) {
+            this.schedule(() => this.emit('hold', { callId: activeCall.callId }), this.responseDelayMs);
+        }
+        if (otherCall.isOnHold) {
+            this.schedule(() => this.emit('resume', { callId: otherCall.callId }), this.responseDelayMs);
+        }
+        return Promise.resolve({ success: true });
+    }
+
+    getCallState() {
+        return Promise.resolve({ ...this.callState });
+    }
+
+    getPhoneContacts() {
+        return Promise.resolve({ contacts: SIMULATOR_CONTACTS });
+    }
+
+    addParticipant(contactType, destination, isBlindTransfer) {
+        this.participantCounter += 1;
+        // Destination is a contact id for queues and agents, or a phone number
+        const contact = SIMULATOR_CONTACTS.find(item => item.id === destination || item.phoneNumber === destination) ||
+            { label: destination, phoneNumber: destination };
+        const result = this.respond('participantadded', {
+            participantId: `sim-participant-${this.participantCounter}`,
+            phoneNumber: contact.phoneNumber || '',
+            contact: { label: contact.label, type: contactType }
+        });
+        if (isBlindTransfer && this.callState.isActive) {
+            // The agent drops off once a blind transfer connects
+            this.schedule(() => this.emit('callended'), this.responseDelayMs * 2);
+        }
+        return result;
+    }
+
+    conference() {
+        return this.respond(null);
+    }
+
+    sendDigits() {
+        return this.respond(null);
+    }
+
+    pauseRecording() {
+        return this.respond(null);
+    }
+
+    resumeRecording() {
+        return this.respond(null);
+    }
+}
@@ -0,0 +1,383 @@
+/**
+ * Theme engine for Unified Phone Controls.
+ * A theme is a preset plus optional token overrides. Tokens are background, accent, danger, text
+ * and border. The engine checks text, accent and danger with the WCAG 2.1 contrast ratio (see
+ * CONTRAST_CHECKS) and corrects any that fall short. It then returns the inline style for the
+ * toolbar and mini-bar.
+ */
+
+export const THEME_TOKENS = ['background', 'accent', 'danger', 'text', 'border'];
+
+const LIGHT_TEXT = '#ffffff';
+const DARK_TEXT = '#181818';
+
+/**
+ * WCAG 2.1 AA: 4.5:1 for text (1.4.3), 3:1 for icons (1.4.11). Text and the accent sit on the
+ * background; the end call icon is white on the danger color.
+ */
+export const CONTRAST_CHECKS = [
+    { token: 'text', against: 'background', minimum: 4.5 },
+    { token: 'accent', against: 'background', minimum: 3 },
+    { token: 'danger', against: LIGHT_TEXT, minimum: 3 }
+];
+
+// Translucent backgrounds are judged against the page behind them
+const PAGE_BACKDROPS = {
+    light: '#ffffff',
+    dark: '#181818'
+};
+
+/**
+ * Shipped presets. modern, classic, minimal and custom keep the original toolbar styles;
+ * cosmos and cosmosDark follow the SLDS 2 Cosmos theme and read its global styling hooks, so an
+ * org's theme colors carry through. Gradient presets fade to gradientTo, or to a 10% darker
+ * background when the background is overridden. darkVariant is used when followDarkMode is on
+ * and the agent's browser prefers a dark color scheme.
+ */
+export const THEME_PRESETS = {
+    modern: {
+        label: 'Modern (dark gradient)',
+        tokens: { background: 'rgba(0, 0, 0, 0.85)', accent: '#1b96ff', danger: '#ea001e', border: 'transparent' },
+        gradient: true,
+        gradientTo: 'rgba(0, 0, 0, 0.9)'
+    },
+    classic: {
+        label: 'Classic (solid dark)',
+        tokens: { background: 'rgba(0, 0, 0, 0.8)', accent: '#1b96ff', danger: '#ea001e', border: 'transparent' }
+    },
+    minimal: {
+        label: 'Minimal (light)',
+        tokens: { background: 'rgba(255, 255, 255, 0.95)', accent: '#0176d3', danger: '#ba0517', border: '#e5e7eb' },
+        gradient: true,
+        gradientTo: 'rgba(248, 249, 250, 0.9)',
+        darkVariant: 'modern'
+    },
+    custom: {
+        label: 'Custom color',
+        tokens: { background: 'rgba(0, 0, 0, 0.85)', accent: '#1b96ff', danger: '#ea001e', border: 'transparent' },
+        gradient: true
+    },
+    cosmos: {
+        label: 'SLDS 2 Cosmos',
+        tokens: {
+            background: 'var(--slds-g-color-surface-container-1, #ffffff)',
+            accent: 'var(--slds-g-color-accent-1, #066afe)',
+            danger: 'var(--slds-g-color-error-1, #b60554)',
+            text: 'var(--slds-g-color-on-surface-3, #03234d)',
+            border: 'var(--slds-g-color-border-1, #c9c9c9)'
+        },
+        darkVariant: 'cosmosDark'
+    },
+    cosmosDark: {
+        label: 'SLDS 2 Cosmos (dark)',
+        tokens: {
+            background: '#03234d',
+            accent: '#7fb2ff',
+            danger: '#ea001e',
+            text: '#ffffff',
+            border: 'rgba(255, 255, 255, 0.2)'
+        }
+    }
+};
+
+const NAMED_COLORS = {
+    white: { r: 255, g: 255, b: 255, a: 1 },
+    black: { r: 0, g: 0, b: 0, a: 1 },
+    transparent: { r: 0, g: 0, b: 0, a: 0 }
+};
+
+const COLOR_IN_TEXT = /(#[0-9a-f]{3,8}\b|rgba?\([^)]*\)|hsla?\([^)]*\))/i;
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+function parseChannel(value, scale) {
+    const text = String(value).trim();
+    return text.endsWith('%') ? parseFloat(text) / 100 * scale : parseFloat(text);
+}
+
+function hslToRgb(h, s, l) {
+    const hue = ((h % 360) + 360) % 360 / 360;
+    if (s === 0) {
+        return { r: l * 255, g: l * 255, b: l * 255 };
+    }
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const channel = t => {
+        const x = t < 0 ? t + 1 : t > 1 ? t - 1 : t;
+        if (x < 1 / 6) return p + (q - p) * 6 * x;
+        if (x < 1 / 2) return q;
+        if (x < 2 / 3) return p + (q - p) * (2 / 3 - x) * 6;
+        return p;
+    };
+    return { r: channel(hue + 1 / 3) * 255, g: channel(hue) * 255, b: channel(hue - 1 / 3) * 255 };
+}
+
+/**
+ * Read a CSS color into { r, g, b, a }. Handles hex, rgb(a), hsl(a), white, black and transparent.
+ * var(--hook, fallback) is read through resolveVariable when one is given, otherwise from its
+ * fallback. For gradients the first color stop is used. Returns null for anything else.
+ */
+export function parseColor(value, resolveVariable) {
+    if (!value) {
+        return null;
+    }
+
+    let text = String(value).trim();
+    const variable = text.match(/^var\(\s*(--[\w-]+)\s*(?:,\s*(.+))?\)$/);
+    if (variable) {
+        const resolved = resolveVariable ? resolveVariable(variable[1]) : '';
+        return parseColor(resolved || variable[2], resolveVariable);
+    }
+
+    const lower = text.toLowerCase();
+    if (NAMED_COLORS[lower]) {
+        return { ...NAMED_COLORS[lower] };
+    }
+    if (lower.includes('gradient(')) {
+        const stop = text.match(COLOR_IN_TEXT);
+        return stop ? parseColor(stop[1], resolveVariable) : null;
+    }
+
+    const hex = lower.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length <= 4) {
+            digits = [...digits].map(digit => digit + digit).join('');
+        }
+        return {
+            r: parseInt(digits.substring(0, 2), 16),
+            g: parseInt(digits.substring(2, 4), 16),
+            b: parseInt(digits.substring(4, 6), 16),
+            a: digits.length === 8 ? parseInt(digits.substring(6, 8), 16) / 255 : 1
+        };
+    }
+
+    const functional = lower.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+    if (!functional) {
+        return null;
+    }
+    // Accept both rgb(1, 2, 3, 0.5) and rgb(1 2 3 / 50%)
+    const parts = functional[2].split(/[\s,/]+/).filter(part => part);
+    if (parts.length < 3) {
+        return null;
+    }
+    const alpha = parts.length > 3 ? clamp(parseChannel(parts[3], 1), 0, 1) : 1;
+
+    if (functional[1].startsWith('rgb')) {
+        const [r, g, b] = parts.slice(0, 3).map(part => clamp(parseChannel(part, 255), 0, 255));
+        return [r, g, b].some(isNaN) ? null : { r, g, b, a: alpha };
+    }
+    const rgb = hslToRgb(parseFloat(parts[0]), clamp(parseChannel(parts[1], 1), 0, 1), clamp(parseChannel(parts[2], 1), 0, 1));
+    return isNaN(rgb.r) ? null : { ...rgb, a: alpha };
+}
+
+export function toCssColor({ r, g, b, a = 1 }) {
+    const channels = [r, g, b].map(channel => Math.round(channel)).join(', ');
+    return a >= 1 ? `rgb(${channels})` : `rgba(${channels}, ${Number(a.toFixed(3))})`;
+}
+
+// Blend a translucent color over an opaque backdrop
+export function composite(color, backdrop) {
+    const a = color.a === undefined ? 1 : color.a;
+    return {
+        r: color.r * a + backdrop.r * (1 - a),
+        g: color.g * a + backdrop.g * (1 - a),
+        b: color.b * a + backdrop.b * (1 - a),
+        a: 1
+    };
+}
+
+// Move a color toward another by amount (0-1), keeping its alpha
+export function mixColors(color, target, amount) {
+    return {
+        r: color.r + (target.r - color.r) * amount,
+        g: color.g + (target.g - color.g) * amount,
+        b: color.b + (target.b - color.b) * amount,
+        a: color.a
+    };
+}
+
+// WCAG 2.1 relative luminance of an opaque color
+export function relativeLuminance({ r, g, b }) {
+    const linear = channel => {
+        const c = channel / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * WCAG contrast ratio (1-21) between two colors. Translucent colors are first composited:
+ * background over backdrop, then foreground over the result.
+ */
+export function contrastRatio(foreground, background, backdrop = NAMED_COLORS.white) {
+    const solidBackground = composite(background, backdrop);
+    const solidForeground = composite(foreground, solidBackground);
+    const lighter = Math.max(relativeLuminance(solidForeground), relativeLuminance(solidBackground));
+    const darker = Math.min(relativeLuminance(solidForeground), relativeLuminance(solidBackground));
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Lighten or darken color in 5% steps, whichever direction the background leaves more room in,
+ * until it reaches minimum contrast. Returns { color, ratio, adjusted }.
+ */
+export function ensureContrast(color, background, minimum, backdrop = NAMED_COLORS.white) {
+    const ratio = contrastRatio(color, background, backdrop);
+    if (ratio >= minimum) {
+        return { color, ratio, adjusted: false };
+    }
+
+    const solidBackground = composite(background, backdrop);
+    const target = contrastRatio(NAMED_COLORS.white, solidBackground) >= contrastRatio(NAMED_COLORS.black, solidBackground)
+        ? NAMED_COLORS.white
+        : NAMED_COLORS.black;
+    const opaque = { ...color, a: 1 };
+    for (let amount = 0.05; amount <= 1; amount += 0.05) {
+        const candidate = mixColors(opaque, target, amount);
+        const candidateRatio = contrastRatio(candidate, solidBackground);
+        if (candidateRatio >= minimum) {
+            return { color: candidate, ratio: candidateRatio, adjusted: true };
+        }
+    }
+    return { color: target, ratio: contrastRatio(target, solidBackground), adjusted: true };
+}
+
+// White or near-black, whichever reads better on the background
+export function pickTextColor(background, backdrop = NAMED_COLORS.white) {
+    const light = parseColor(LIGHT_TEXT);
+    const dark = parseColor(DARK_TEXT);
+    return contrastRatio(light, background, backdrop) >= contrastRatio(dark, background, backdrop) ? LIGHT_TEXT : DARK_TEXT;
+}
+
+/**
+ * Read the themeTokens property: a JSON object of token overrides, with optional "dark"
+ * overrides used in dark mode. Returns { tokens, darkTokens, error }.
+ */
+export function parseThemeTokens(value) {
+    if (!value) {
+        return { tokens: {}, darkTokens: {}, error: '' };
+    }
+
+    let parsed = value;
+    if (typeof value === 'string') {
+        try {
+            parsed = JSON.parse(value);
+        } catch (error) {
+            return { tokens: {}, darkTokens: {}, error: `themeTokens is not valid JSON: ${error.message}` };
+        }
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { tokens: {}, darkTokens: {}, error: 'themeTokens must be a JSON object' };
+    }
+
+    const pickTokens = source => THEME_TOKENS.reduce((tokens, token) => {
+        if (source && typeof source[token] === 'string' && source[token].trim()) {
+            tokens[token] = source[token].trim();
+        }
+        return tokens;
+    }, {});
+    const unknown = Object.keys(parsed).filter(key => key !== 'dark' && !THEME_TOKENS.includes(key));
+    return {
+        tokens: pickTokens(parsed),
+        darkTokens: pickTokens(parsed.dark),
+        error: unknown.length ? `Unknown theme tokens ignored: ${unknown.join(', ')}` : ''
+    };
+}
+
+/**
+ * Resolve a theme. Options:
+ *  - preset: a THEME_PRESETS name, in any case (unknown names fall back to modern)
+ *  - tokens / darkTokens: overrides from parseThemeTokens
+ *  - backgroundColor: the legacy toolbarBackgroundColor, used by the custom preset
+ *  - darkMode: switch to the preset's darkVariant and apply darkTokens
+ *  - resolveVariable: reads a CSS custom property's current value, for styling hooks
+ * Returns { preset, tone, tokens, checks, warnings, style }. tone is 'dark' when the background
+ * is dark (so icons and text are light).
+ */
+export function resolveTheme({ preset = 'modern', tokens = {}, darkTokens = {}, backgroundColor, darkMode = false, resolveVariable } = {}) {
+    // Preset names are matched case-insensitively, as toolbarStyle always has been
+    const requested = Object.keys(THEME_PRESETS).find(name => name.toLowerCase() === String(preset).toLowerCase());
+    let presetName = requested || 'modern';
+    if (darkMode && THEME_PRESETS[presetName].darkVariant) {
+        presetName = THEME_PRESETS[presetName].darkVariant;
+    }
+    const definition = THEME_PRESETS[presetName];
+    const merged = {
+        ...definition.tokens,
+        ...(presetName === 'custom' && backgroundColor ? { background: backgroundColor } : {}),
+        ...tokens,
+        ...(darkMode ? darkTokens : {})
+    };
+    const warnings = [];
+    if (!requested) {
+        warnings.push(`Unknown toolbar style "${preset}", using modern`);
+    }
+
+    const backdrop = parseColor(darkMode ? PAGE_BACKDROPS.dark : PAGE_BACKDROPS.light);
+    let background = parseColor(merged.background, resolveVariable);
+    if (!background) {
+        warnings.push(`Background "${merged.background}" is not a color this engine can read, using the modern background`);
+        merged.background = THEME_PRESETS.modern.tokens.background;
+        background = parseColor(merged.background);
+    }
+    const solidBackground = composite(background, backdrop);
+    if (!merged.text) {
+        merged.text = pickTextColor(solidBackground);
+    }
+
+    const resolved = { ...merged };
+    const checks = CONTRAST_CHECKS.map(({ token, against, minimum }) => {
+        const surface = against === 'background' ? solidBackground : parseColor(against);
+        const surfaceName = against === 'background' ? 'the background' : against;
+        let color = parseColor(merged[token], resolveVariable);
+        if (!color) {
+            // Fall back to the token a shipped preset uses; text has none, so pick white or near-black
+            resolved[token] = token === 'text' ? pickTextColor(solidBackground) : THEME_PRESETS.modern.tokens[token];
+            warnings.push(`${token} "${merged[token]}" is not a color this engine can read, using ${resolved[token]}`);
+            color = parseColor(resolved[token]);
+        }
+
+        const result = ensureContrast(color, surface, minimum);
+        if (result.adjusted) {
+            resolved[token] = toCssColor(result.color);
+            warnings.push(`${token} ${merged[token]} has ${contrastRatio(color, surface).toFixed(2)}:1 contrast with ${surfaceName}, below ${minimum}:1; using ${resolved[token]}`);
+        }
+        return { token, ratio: Number(result.ratio.toFixed(2)), minimum, passed: result.ratio >= minimum, adjusted: result.adjusted };
+    });
+
+    const accent = parseColor(resolved.accent, resolveVariable);
+    const danger = parseColor(resolved.danger, resolveVariable);
+    const backgroundImage = buildBackground(merged.background, definition, background);
+    const style = [
+        `--upc-color-background: ${merged.background}`,
+        `--upc-color-accent: ${resolved.accent}`,
+        `--upc-color-accent-soft: ${toCssColor({ ...accent, a: 0.25 })}`,
+        `--upc-color-danger: ${resolved.danger}`,
+        `--upc-color-danger-strong: ${toCssColor(mixColors({ ...danger, a: 1 }, NAMED_COLORS.black, 0.2))}`,
+        `--upc-color-text: ${resolved.text}`,
+        `--upc-color-border: ${merged.border || 'transparent'}`,
+        `background: ${backgroundImage}`
+    ].join('; ') + ';';
+
+    return {
+        preset: presetName,
+        tone: relativeLuminance(solidBackground) < 0.18 ? 'dark' : 'light',
+        tokens: resolved,
+        checks,
+        warnings,
+        style
+    };
+}
+
+function buildBackground(background, definition, color) {
+    if (String(background).includes('gradient(') || !definition.gradient) {
+        return background;
+    }
+    const end = definition.gradientTo && background === definition.tokens.background
+        ? definition.gradientTo
+        : toCssColor(mixColors(color, NAMED_COLORS.black, 0.1));
+    return `linear-gradient(145deg, ${background} 0%, ${end} 100%)`;
+}
@@ -1,6 +1,34 @@
 import { LightningElement, api, track, wire } from 'lwc';
-import { getRecord } from 'lightning/uiRecordApi';
+import { getRecord, updateRecord, createRecord } from 'lightning/uiRecordApi';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { publish, subscribe, unsubscribe, MessageContext, APPLICATION_SCOPE } from 'lightning/messageService';
+import { gql, graphql } from 'lightning/uiGraphQLApi';
+import CALL_STATE_CHANNEL from '@salesforce/messageChannel/Call_State__c';
+import USER_ID from '@salesforce/user/Id';
+import LOCALE from '@salesforce/i18n/locale';
+import { parseShortcut, matchesShortcut, findReservedConflict } from './keyboardShortcuts';
+import CallStateMachine, { CALL_STATES } from './callStateMachine';
+import TelephonySimulator, { SIMULATOR_SCRIPTS } from './telephonyAdapter';
+import EventLog, { LOG_LEVELS } from './eventLog';
+import {
+    EDGE_MARGIN_PX,
+    clampPosition,
+    snapToEdges,
+    toEdgePlacement,
+    fromEdgePlacement,
+    moveByKey,
+    getScreenKey
+} from './miniBarPlacement';
+import { parseThemeTokens, resolveTheme } from './themeEngine';
+import { QUALITY_LEVELS, readAudioStats, buildQualitySample, summarizeQualitySamples, serializeQualitySamples } from './callQuality';
+import { getEventCallId, applyCallEvent, measureCall } from './concurrentCalls';
+import {
+    isE164,
+    validatePhoneNumber,
+    getPhoneNumberInfo,
+    getPhoneSearchVariants,
+    formatPhoneNumber as formatNumberForDisplay
+} from './phoneNumberUtils';
 
 // Voice Call fields
 const VOICE_CALL_FIELDS = [
@@ -13,12 +41,172 @@ const VOICE_CALL_FIELDS = [
     'VoiceCall.CallDurationInSeconds'
 ];
 
+// Custom Voice Call fields that receive the call metrics when the call ends
+const CALL_METRIC_FIELDS = {
+    holdCount: 'Hold_Count__c',
+    totalHoldSeconds: 'Total_Hold_Seconds__c',
+    longestHoldSeconds: 'Longest_Hold_Seconds__c',
+    muteSeconds: 'Mute_Duration_Seconds__c',
+    talkSeconds: 'Agent_Talk_Seconds__c',
+    holdSessions: 'Hold_Sessions__c'
+};
+
+// Custom Voice Call fields that receive the call quality samples and summary when the call ends
+const CALL_QUALITY_FIELDS = {
+    samples: 'Call_Quality_Samples__c',
+    averageMos: 'Average_MOS__c',
+    lowestMos: 'Lowest_MOS__c',
+    maxJitterMs: 'Max_Jitter_Ms__c',
+    maxPacketLossPercent: 'Max_Packet_Loss_Percent__c'
+};
+const CALL_QUALITY_SAMPLE_LIMIT = 360; // Newest samples kept for the call (30 minutes at one every 5 seconds)
+const CALL_QUALITY_SAMPLES_MAX_LENGTH = 131072; // Length of the Call_Quality_Samples__c long text area
+const CALL_QUALITY_WARNING_SAMPLES = 2; // Consecutive poor samples before the agent is warned
+
+// Review record created when an agent flags a call
+const CALL_REVIEW_OBJECT = 'Call_Review__c';
+const CALL_REVIEW_FIELDS = {
+    voiceCall: 'Voice_Call__c',
+    reason: 'Reason__c',
+    notes: 'Notes__c',
+    callOffsetSeconds: 'Call_Offset_Seconds__c',
+    supervisor: 'Supervisor__c'
+};
+const FLAG_REASONS = ['Compliance', 'Escalation', 'Abusive Caller', 'Quality Sample'];
+const HOLD_SLA_REVIEW_REASON = 'Hold SLA Breach';
+
+// Hold alert escalation levels, raised one at a time as a hold keeps running past policy
+const HOLD_ALERT_LEVELS = {
+    NONE: 0,
+    WARNING: 1, // Toast
+    CRITICAL: 2, // Sticky toast and chime
+    SUPERVISOR: 3 // Review record for the supervisor
+};
+
+// Recording pause reasons and the Voice Call field that keeps the pause/resume audit trail
+const RECORDING_PAUSE_REASONS = ['Payment Card Details (PCI)', 'Personal Information', 'Customer Request', 'Other'];
+const RECORDING_AUDIT_FIELD = 'Recording_Audit__c';
+
+// After-call work: Voice Call fields that receive the wrap-up, and the disposition saved when it auto-completes
+const WRAP_UP_FIELDS = {
+    disposition: 'Disposition__c',
+    notes: 'Wrap_Up_Notes__c',
+    afterCallWorkSeconds: 'After_Call_Work_Seconds__c'
+};
+const AUTO_COMPLETE_DISPOSITION = 'Auto-Completed';
+
+// Caller lookup: Contacts and Accounts whose phone matches the caller, with their open cases
+const OPEN_CASE_LIMIT = 5;
+const CALLER_LOOKUP_QUERY = gql`
+    query callerLookup($phones: [String], $caseLimit: Int) {
+        uiapi {
+            query {
+                Contact(where: { or: [{ Phone: { in: $phones } }, { MobilePhone: { in: $phones } }] }, first: 5) {
+                    edges {
+                        node {
+                            Id
+                            Name { value }
+                            Account { Id Name { value } }
+                            Cases(where: { IsClosed: { eq: false } }, first: $caseLimit, orderBy: { CreatedDate: { order: DESC } }) {
+                                edges { node { Id CaseNumber { value } Subject { value } Status { value } } }
+                            }
+                        }
+                    }
+                }
+                Account(where: { Phone: { in: $phones } }, first: 5) {
+                    edges {
+                        node {
+                            Id
+                            Name { value }
+                            Cases(where: { IsClosed: { eq: false } }, first: $caseLimit, orderBy: { CreatedDate: { order: DESC } }) {
+                                edges { node { Id CaseNumber { value } Subject { value } Status { value } } }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+`;
+
+// Outbound dialing: recent numbers are kept per user in local storage
+const RECENT_NUMBERS_STORAGE_PREFIX = 'unifiedPhoneControls:recentNumbers:';
+const RECENT_NUMBERS_LIMIT = 10;
+
+// Floating mini-bar: the pop-out preference and position are kept per user in local storage
+const MINI_BAR_STORAGE_PREFIX = 'unifiedPhoneControls:miniBar:';
+
+// Callbacks are scheduled as Tasks owned by the agent, with a reminder at the callback time
+const CALLBACK_TASK_OBJECT = 'Task';
+const CALLBACK_DEFAULT_DELAY_MINUTES = 60;
+
+// DTMF keypad layout and sequence handling
+const DTMF_KEYS = [
+    { digit: '1', letters: '' }, { digit: '2', letters: 'ABC' }, { digit: '3', letters: 'DEF' },
+    { digit: '4', letters: 'GHI' }, { digit: '5', letters: 'JKL' }, { digit: '6', letters: 'MNO' },
+    { digit: '7', letters: 'PQRS' }, { digit: '8', letters: 'TUV' }, { digit: '9', letters: 'WXYZ' },
+    { digit: '*', letters: '' }, { digit: '0', letters: '+' }, { digit: '#', letters: '' }
+];
+const DTMF_PAUSE_CHARACTER = ',';
+const DTMF_PAUSE_MS = 2000; // Length of each pause character in a pasted sequence
+const DTMF_TONE_GAP_MS = 250; // Gap between tones so IVRs register each digit
+
+// Keyboard shortcuts: each action reads its key combination from the named @api property
+const SHORTCUT_ACTIONS = [
+    { action: 'hold', property: 'holdShortcut', label: 'Hold / Resume' },
+    { action: 'mute', property: 'muteShortcut', label: 'Mute / Unmute' },
+    { action: 'endCall', property: 'endCallShortcut', label: 'End Call (press twice)' },
+    { action: 'transfer', property: 'transferShortcut', label: 'Transfer' },
+    { action: 'popout', property: 'popoutShortcut', label: 'Pop Out / Dock' }
+];
+const SHORTCUT_HELP_KEYS = 'Alt+/';
+const END_CALL_CONFIRM_MS = 3000; // Window for the second End Call press
+
+// Lightning Message Service: this component publishes "state" messages and accepts "command" messages
+const CALL_STATE_MESSAGE_SOURCE = 'unifiedPhoneControls';
+
+// Structured event log: entries kept in memory, and entries shown in the debug panel
+const EVENT_LOG_CAPACITY = 500;
+const EVENT_LOG_DISPLAY_LIMIT = 100;
+
+// Per-record session store so a reload or reopened tab resumes the timers instead of restarting them
+const CALL_STATE_STORAGE_PREFIX = 'unifiedPhoneControls:callState:';
+
 export default class UnifiedPhoneControls extends LightningElement {
     // Public properties
     @api recordId; // Voice Call record ID
     @api debugMode = false; // Enable debug information display
+    @api enableEventLog = false; // Keep the structured event log without debug mode (no console output)
     @api toolbarBackgroundColor = 'rgba(0, 0, 0, 0.85)'; // Customizable toolbar background color
-    @api toolbarStyle = 'modern'; // Toolbar visual style (modern, classic, minimal, custom)
+    @api toolbarStyle = 'modern'; // Theme preset from themeEngine.js (modern, classic, minimal, custom, cosmos, cosmosDark)
+    @api themeTokens; // JSON overrides for background, accent, danger, text and border, plus optional "dark" overrides
+    @api followDarkMode = false; // Switch to the preset's dark variant when the browser prefers a dark color scheme
+    @api persistCallMetrics = false; // Write hold, mute and talk time metrics to the Voice Call when the call ends
+    @api holdWarningSeconds = 30; // Hold timer turns yellow after this many seconds
+    @api holdCriticalSeconds = 120; // Hold timer turns red after this many seconds
+    @api singleHoldAlertSeconds = 120; // Alert when a single hold exceeds this (0 disables)
+    @api cumulativeHoldAlertSeconds = 300; // Alert when total hold time for the call exceeds this (0 disables)
+    @api holdAlertEscalationSeconds = 60; // Time between escalation steps once a hold is over policy
+    @api holdAlertChime = false; // Play a chime when a hold alert becomes critical
+    @api notifySupervisorOnHoldBreach = false; // Create a review record for the supervisor on the final escalation
+    @api enableRecordingControls = false; // Show pause/resume recording controls (requires the recording audit field)
+    @api recordingAutoResumeSeconds = 120; // Resume a paused recording automatically after this many seconds (0 disables)
+    @api enableWrapUp = false; // Show a wrap-up step after the call instead of hiding the controls
+    @api dispositionCodes = 'Resolved,Callback Required,Escalated,Transferred,Unresolved,Wrong Number'; // Comma-separated
+    @api wrapUpAutoCompleteSeconds = 0; // Complete the wrap-up automatically after this many seconds (0 disables)
+    @api enableOutboundDial = false; // Show a dial pad when there is no call
+    @api defaultCountryCode = '1'; // Country code for numbers dialled or stored without one
+    @api callerIdNumbers = ''; // Comma-separated E.164 numbers the agent can present as caller ID
+    @api enableCallbacks = false; // Show the Schedule Callback action during calls
+    @api enableCallerLookup = false; // Match the caller's number to Contacts and Accounts and show their open cases
+    @api enableCallQuality = false; // Show the call quality indicator fed by the toolkit's audio stats
+    @api persistCallQuality = false; // Save quality samples and a summary to the Voice Call when the call ends
+    @api enableKeyboardShortcuts = false; // Listen for call control shortcuts anywhere on the page
+    @api holdShortcut = 'Alt+H';
+    @api muteShortcut = 'Alt+M';
+    @api endCallShortcut = 'Alt+E';
+    @api transferShortcut = 'Alt+T';
+    @api popoutShortcut = 'Alt+P';
 
     // Call state tracking
     @track isCallActive = false;
@@ -27,6 +215,71 @@ export default class UnifiedPhoneControls extends LightningElement {
     @track isMuted = false;
     @track isRecording = true;
 
+    // Recording pause tracking
+    @track recordingPausedAt = null; // Timestamp when the recording was paused
+    @track recordingPauseReason = '';
+    @track recordingAudit = []; // Every pause and resume, saved to the Voice Call for compliance
+    @track isRecordingActionPending = false;
+    recordingAutoResumeTimeout = null;
+
+    // After-call work (wrap-up)
+    @track isInWrapUp = false;
+    @track wrapUpDisposition = '';
+    @track wrapUpNotes = '';
+    @track acwSeconds = 0; // After-call work time so far
+    @track isSavingWrapUp = false;
+    wrapUpStart = null;
+    wrapUpSaveFailed = false; // Stops auto-complete retrying a save that already failed
+    acwInterval = null;
+
+    // Call quality from the toolkit's audio stats; see callQuality.js
+    @track callQualitySamples = [];
+    @track callQualityLevel = QUALITY_LEVELS.UNKNOWN;
+    consecutivePoorQualitySamples = 0;
+    callQualityWarningShown = false;
+
+    // Outbound dial state
+    @track dialNumber = '';
+    @track dialError = '';
+    @track dialCallerId = ''; // Blank uses the provider's default caller ID
+    @track recentNumbers = []; // [{ number, dialedAt }], newest first
+    @track isDialing = false;
+    callerIds = []; // Valid entries from callerIdNumbers
+
+    // Callback scheduling state
+    @track showCallbackPopover = false;
+    @track callbackDateTime = '';
+    @track callbackNotes = '';
+    @track isSavingCallback = false;
+
+    // Keyboard shortcut state
+    @track keyboardShortcuts = []; // Parsed shortcuts with any conflict that disabled them
+    @track showShortcutHelp = false;
+    endCallConfirmPending = false;
+    endCallConfirmTimeout = null;
+
+    // Lightning Message Service subscription for call commands
+    callStateSubscription = null;
+
+    // Gatekeeper for toolkit events; see callStateMachine.js
+    callStateMachine = new CallStateMachine();
+    isReconcilingCallState = false;
+
+    // Concurrent calls, keyed by the provider's call id; see concurrentCalls.js
+    activeCallId = ''; // Call in the foreground, which the toolbar controls act on
+    @track activeCallLabel = ''; // Number of a foreground call that isn't this record's call
+    recordCallId = ''; // The call this Voice Call record belongs to
+    @track backgroundCalls = []; // { callId, snapshot, stateMachine } for each other live call
+    @track isSwitchingCall = false;
+
+    // Simulated telephony provider (debug mode only); see telephonyAdapter.js
+    telephonySimulator = null;
+    @track simulatorScript = 'inbound';
+
+    // Mute duration tracking
+    muteStart = null; // Timestamp when the current mute started
+    totalMuteTime = 0; // Accumulated mute time in seconds
+
     // Timer properties - Call Duration
     @track callDuration = 0; // Total call duration in seconds
     @track formattedCallDuration = '00:00:00';
@@ -40,11 +293,18 @@ export default class UnifiedPhoneControls extends LightningElement {
     @track formattedTotalHoldTime = '00:00';
     @track holdColorClass = 'hold-timer-green';
     holdTimerInterval = null;
+    singleHoldAlertLevel = HOLD_ALERT_LEVELS.NONE; // Escalation reached by the current hold
+    cumulativeHoldAlertLevel = HOLD_ALERT_LEVELS.NONE; // Escalation reached by total hold time this call
 
     // Phone number and call info
     @track phoneNumber = '';
     @track callDirection = '';
     @track displayPhoneNumber = '';
+    @track phoneNumberInfo = null; // E.164, region and formats; see phoneNumberUtils.js
+
+    // Caller lookup results, Contacts first
+    @track callerMatches = [];
+    @track phoneSearchVariants = [];
 
     // Telephony integration
     @track telephonyAvailable = false;
@@ -54,8 +314,11 @@ export default class UnifiedPhoneControls extends LightningElement {
     // Simplified container management (CSS Container Queries handle responsiveness)
     toolkitCheckInterval = null;
 
-    // Debug information
-    @track debugMessages = [];
+    // Structured event log; see eventLog.js
+    eventLog = new EventLog(EVENT_LOG_CAPACITY);
+    @track eventLogVersion = 0; // Bumped on every change so the panel re-renders
+    @track logLevelFilter = 'debug';
+    @track logTypeFilter = '';
     
     // Call end information from record
     @track callEndDateTime = null;
@@ -63,6 +326,11 @@ export default class UnifiedPhoneControls extends LightningElement {
     // Expandable hold details
     @track showHoldDetails = false;
 
+    // Resolved theme (see themeEngine.js)
+    @track theme = null;
+    isDarkMode = false;
+    darkModeQuery = null;
+
     // Floating pop-out toggle
     @track isFloating = false;
     
@@ -70,41 +338,116 @@ export default class UnifiedPhoneControls extends LightningElement {
     @track isDragging = false;
     @track dragStartX = 0;
     @track dragStartY = 0;
-    @track miniBarX = 0;
+    @track miniBarX = 0; // Offset from the bar's default bottom-right spot
     @track miniBarY = 0;
+    miniBarPlacement = null; // Edge-relative position for the current screen, see miniBarPlacement.js
+    miniBarPlacementPending = false; // Apply miniBarPlacement once the bar has rendered and can be measured
+    miniBarScreenKey = null;
+    miniBarGeometry = null; // Size and default spot, measured when a drag starts
+
+    // Transfer dialog state
+    @track showTransferDialog = false;
+    @track transferType = 'blind'; // blind or consult (warm) transfer
+    @track transferTargetTab = 'Queue'; // Queue, Agent or PhoneNumber
+    @track transferSearchTerm = '';
+    @track transferContacts = []; // Queues, agents and phone book entries returned by the toolkit
+    @track isLoadingTransferContacts = false;
+    @track selectedTransferTargetId = null;
+    @track externalTransferNumber = '';
+    @track transferStatus = ''; // Transfer progress shown on the toolbar
+    @track isTransferInProgress = false;
+    pendingConsultTarget = null; // Target of the last consult request, used to label the new participant
+
+    // Participant (call leg) tracking - the customer leg mirrors the call-level hold timer
+    @track participants = [];
+    @track isConference = false;
+    pendingParticipantActionId = null; // Leg the agent last asked to hold/resume, for events without participant info
+
+    // Flag for review state
+    @track showFlagPopover = false;
+    @track flagReason = '';
+    @track flagNote = '';
+    @track flagOffsetSeconds = 0; // Call-relative time the flag refers to
+    @track isSavingFlag = false;
+    supervisorId = null; // Agent's manager, notified about flagged calls
+
+    // Reload recovery
+    callStateRestored = false;
+
+    // DTMF keypad state
+    @track showKeypad = false;
+    @track dtmfDigitsSent = ''; // Digits sent so far on this call, shown above the keypad
+    @track dtmfSequence = '';
+    @track isSendingDtmfSequence = false;
+    dtmfSequenceTimeout = null;
+
+    // Lightning Message Service context for the call state channel
+    @wire(MessageContext)
+    messageContext;
 
     // Wire to get Voice Call record data
     @wire(getRecord, { recordId: '$recordId', fields: VOICE_CALL_FIELDS })
     voiceCallRecord({ error, data }) {
         if (data) {
-            this.addDebugMessage('Voice Call record loaded successfully');
+            this.addDebugMessage('Voice Call record loaded successfully', 'info', 'record');
             this.processVoiceCallData(data);
             this.setupToolkitEventListeners();
+            this.restoreCallState();
+        } else if (error) {
+            this.addDebugMessage(`Error loading Voice Call record: ${error.body?.message || error.message}`, 'error', 'record');
+        }
+    }
+
+    // Wire the agent's manager so flagged calls reach their supervisor
+    @wire(getRecord, { recordId: USER_ID, fields: ['User.ManagerId'] })
+    currentUserRecord({ error, data }) {
+        if (data) {
+            this.supervisorId = data.fields.ManagerId?.value || null;
         } else if (error) {
-            this.addDebugMessage(`Error loading Voice Call record: ${error.body?.message || error.message}`);
+            this.addDebugMessage(`Error loading supervisor: ${error.body?.message || error.message}`, 'error', 'general');
         }
     }
 
     // Lifecycle methods
     connectedCallback() {
-        console.log('UnifiedPhoneControls: Component connected', {
+        this.addDebugMessage('Unified Phone Controls component initialized', 'info', 'general', {
             recordId: this.recordId,
             debugMode: this.debugMode
         });
         
-        this.addDebugMessage('Unified Phone Controls component initialized');
-        
         // Start toolkit polling for telephony integration
         this.startToolkitPolling();
         
         // Bind drag handlers to avoid binding issues
         this.boundHandleDrag = this.handleDrag.bind(this);
         this.boundHandleDragEnd = this.handleDragEnd.bind(this);
+
+        this.initializeTheme();
+        this.restoreMiniBarPreference();
+        this.boundHandleWindowResize = this.handleWindowResize.bind(this);
+        window.addEventListener('resize', this.boundHandleWindowResize);
+
+        if (this.enableKeyboardShortcuts) {
+            this.initializeKeyboardShortcuts();
+        }
+
+        if (this.enableOutboundDial) {
+            this.initializeOutboundDial();
+        }
+
+        this.subscribeToCallCommands();
     }
 
     disconnectedCallback() {
+        // Keep the live call state so the timers carry on if the tab is reopened
+        this.persistCallState();
         this.cleanupTimers();
+        this.stopAcwTimer();
         this.stopToolkitPolling();
+        this.unsubscribeFromCallCommands();
+        if (this.telephonySimulator) {
+            this.telephonySimulator.stop();
+        }
         
         // Clean up drag event listeners
         if (this.boundHandleDrag) {
@@ -115,6 +458,23 @@ export default class UnifiedPhoneControls extends LightningElement {
             document.removeEventListener('mouseup', this.boundHandleDragEnd);
             document.removeEventListener('touchend', this.boundHandleDragEnd);
         }
+        if (this.boundHandleShortcutKeydown) {
+            document.removeEventListener('keydown', this.boundHandleShortcutKeydown);
+        }
+        if (this.boundHandleWindowResize) {
+            window.removeEventListener('resize', this.boundHandleWindowResize);
+        }
+        if (this.darkModeQuery && this.boundHandleColorSchemeChange) {
+            this.darkModeQuery.removeEventListener('change', this.boundHandleColorSchemeChange);
+        }
+    }
+
+    renderedCallback() {
+        // The bar only exists while floating during a call, so place it on its first render
+        if (this.isFloating && this.miniBarPlacementPending && this.template.querySelector('.mini-bar')) {
+            this.miniBarPlacementPending = false;
+            this.applyMiniBarPlacement();
+        }
     }
 
     // Process Voice Call record data
@@ -124,7 +484,9 @@ export default class UnifiedPhoneControls extends LightningElement {
             
             // Set phone number and direction
             this.phoneNumber = record.FromPhoneNumber?.value || record.ToPhoneNumber?.value || '';
+            this.phoneNumberInfo = getPhoneNumberInfo(this.phoneNumber, this.defaultCountryCode);
             this.displayPhoneNumber = this.formatPhoneNumber(this.phoneNumber);
+            this.phoneSearchVariants = getPhoneSearchVariants(this.phoneNumberInfo);
             this.callDirection = record.CallType?.value === 'Inbound' ? 'Inbound' : 'Outbound';
             
             // Check if call has ended
@@ -137,25 +499,64 @@ export default class UnifiedPhoneControls extends LightningElement {
             this.addDebugMessage(`Call data processed: ${this.displayPhoneNumber} (${this.callDirection})`);
             this.addDebugMessage(`Call end time: ${this.callEndDateTime ? this.callEndDateTime.toISOString() : 'null (call active)'}`);
         } catch (error) {
-            this.addDebugMessage(`Error processing call data: ${error.message}`);
+            this.addDebugMessage(`Error processing call data: ${error.message}`, 'error', 'toolkitEvent');
         }
     }
 
-    // Format phone number for display
+    // Format phone number for display, grouped the way the caller's country writes it
     formatPhoneNumber(phoneNumber) {
-        if (!phoneNumber) return '';
-        
-        // Remove any non-digit characters
-        const cleaned = phoneNumber.replace(/\D/g, '');
-        
-        // Format as +1 (XXX) XXX-XXXX for US numbers
-        if (cleaned.length === 11 && cleaned.startsWith('1')) {
-            return `+1 (${cleaned.substring(1, 4)}) ${cleaned.substring(4, 7)}-${cleaned.substring(7)}`;
-        } else if (cleaned.length === 10) {
-            return `+1 (${cleaned.substring(0, 3)}) ${cleaned.substring(3, 6)}-${cleaned.substring(6)}`;
+        return formatNumberForDisplay(phoneNumber, this.defaultCountryCode);
+    }
+
+    // Runs only when enableCallerLookup is on and the call has a readable number
+    @wire(graphql, { query: '$callerLookupQuery', variables: '$callerLookupVariables' })
+    callerLookupResult({ data, errors }) {
+        if (data) {
+            this.processCallerLookup(data);
+        } else if (errors) {
+            this.callerMatches = [];
+            this.addDebugMessage(`Caller lookup failed: ${errors.map(error => error.message).join(', ')}`, 'error', 'record');
         }
-        
-        return phoneNumber; // Return original if can't format
+    }
+
+    get callerLookupQuery() {
+        return this.enableCallerLookup && this.phoneSearchVariants.length ? CALLER_LOOKUP_QUERY : undefined;
+    }
+
+    get callerLookupVariables() {
+        return { phones: this.phoneSearchVariants, caseLimit: OPEN_CASE_LIMIT };
+    }
+
+    processCallerLookup(data) {
+        const toOpenCases = node => (node.Cases?.edges || []).map(({ node: item }) => ({
+            id: item.Id,
+            caseNumber: item.CaseNumber?.value,
+            subject: item.Subject?.value || '',
+            status: item.Status?.value || '',
+            url: `/lightning/r/Case/${item.Id}/view`
+        }));
+
+        const contacts = (data.uiapi.query.Contact?.edges || []).map(({ node }) => ({
+            id: node.Id,
+            objectApiName: 'Contact',
+            name: node.Name?.value,
+            accountId: node.Account?.Id || null,
+            detail: node.Account?.Name?.value || 'Contact',
+            openCases: toOpenCases(node)
+        }));
+        const accounts = (data.uiapi.query.Account?.edges || []).map(({ node }) => ({
+            id: node.Id,
+            objectApiName: 'Account',
+            name: node.Name?.value,
+            accountId: node.Id,
+            detail: 'Account',
+            openCases: toOpenCases(node)
+        }));
+
+        this.callerMatches = [...contacts, ...accounts];
+        this.addDebugMessage(`Caller lookup: ${contacts.length} contact(s), ${accounts.length} account(s)`, 'info', 'record', {
+            matches: this.callerMatches.map(match => `${match.objectApiName} ${match.id}`)
+        });
     }
 
     // =====================================
@@ -192,15 +593,22 @@ export default class UnifiedPhoneControls extends LightningElement {
 
     startHoldTimer() {
         if (this.isOnHold) {
-            this.addDebugMessage('Already on hold, ignoring duplicate hold event');
+            this.addDebugMessage('Already on hold, ignoring duplicate hold event', 'warn', 'stateTransition');
             return;
         }
 
         this.currentHoldStart = Date.now();
         this.isOnHold = true;
+        this.singleHoldAlertLevel = HOLD_ALERT_LEVELS.NONE;
         this.addDebugMessage(`Hold started at: ${new Date(this.currentHoldStart).toISOString()}`);
-        console.log(`UnifiedPhoneControls: Hold started - currentHoldStart: ${this.currentHoldStart}, isOnHold: ${this.isOnHold}`);
 
+        this.startHoldDisplayInterval();
+        this.persistCallState();
+        this.publishCallState('hold');
+        this.showToast('Call on Hold', 'The call has been placed on hold', 'info');
+    }
+
+    startHoldDisplayInterval() {
         // Clear any existing timer first
         if (this.holdTimerInterval) {
             clearInterval(this.holdTimerInterval);
@@ -208,17 +616,13 @@ export default class UnifiedPhoneControls extends LightningElement {
 
         // Start the hold display timer interval
         this.holdTimerInterval = setInterval(() => {
-            console.log('UnifiedPhoneControls: Hold timer interval tick - calling updateHoldDisplayTimer');
             this.updateHoldDisplayTimer();
         }, 1000);
-
-        console.log(`UnifiedPhoneControls: Hold timer interval set up with ID: ${this.holdTimerInterval}`);
-        this.showToast('Call on Hold', 'The call has been placed on hold', 'info');
     }
 
     endHoldTimer() {
         if (!this.isOnHold || !this.currentHoldStart) {
-            this.addDebugMessage('Not currently on hold, ignoring resume event');
+            this.addDebugMessage('Not currently on hold, ignoring resume event', 'warn', 'stateTransition');
             return;
         }
 
@@ -250,24 +654,576 @@ export default class UnifiedPhoneControls extends LightningElement {
         this.holdColorClass = this.getHoldColorClass(this.totalHoldTime);
 
         this.addDebugMessage(`Hold ended. Session: ${holdDuration}s, Total: ${this.totalHoldTime}s`);
+        this.persistCallState();
+        this.publishCallState('resume');
         this.showToast('Call Resumed', `Hold session: ${this.formatTime(holdDuration)}`, 'success');
     }
 
     updateHoldDisplayTimer() {
         if (!this.isOnHold || !this.currentHoldStart) {
-            console.log('UnifiedPhoneControls: updateHoldDisplayTimer called but not on hold');
             return;
         }
 
         const currentHoldDuration = Math.floor((Date.now() - this.currentHoldStart) / 1000);
         const displayTime = this.totalHoldTime + currentHoldDuration;
-        
-        console.log(`UnifiedPhoneControls: Updating hold timer - Current hold: ${currentHoldDuration}s, Total: ${this.totalHoldTime}s, Display: ${displayTime}s`);
-        
+
         this.formattedTotalHoldTime = this.formatTime(displayTime);
         this.holdColorClass = this.getHoldColorClass(displayTime);
-        
-        console.log(`UnifiedPhoneControls: Formatted hold time: ${this.formattedTotalHoldTime}, Color: ${this.holdColorClass}`);
+        this.checkHoldAlerts(currentHoldDuration, displayTime);
+    }
+
+    // =====================================
+    // HOLD SLA ALERTS
+    // =====================================
+
+    checkHoldAlerts(currentHoldDuration, totalHoldDuration) {
+        const singleLevel = this.getHoldAlertLevel(currentHoldDuration, this.singleHoldAlertSeconds);
+        if (singleLevel > this.singleHoldAlertLevel) {
+            this.singleHoldAlertLevel = singleLevel;
+            this.raiseHoldAlert(singleLevel, `This hold has lasted ${this.formatTime(currentHoldDuration)}`);
+        }
+
+        const cumulativeLevel = this.getHoldAlertLevel(totalHoldDuration, this.cumulativeHoldAlertSeconds);
+        if (cumulativeLevel > this.cumulativeHoldAlertLevel) {
+            this.cumulativeHoldAlertLevel = cumulativeLevel;
+            this.raiseHoldAlert(cumulativeLevel, `Total hold time on this call is ${this.formatTime(totalHoldDuration)}`);
+        }
+    }
+
+    getHoldAlertLevel(duration, thresholdSetting) {
+        const threshold = Number(thresholdSetting) || 0;
+        if (threshold <= 0 || duration < threshold) {
+            return HOLD_ALERT_LEVELS.NONE;
+        }
+
+        const escalation = Math.max(1, Number(this.holdAlertEscalationSeconds) || 60);
+        const steps = Math.floor((duration - threshold) / escalation);
+        return Math.min(HOLD_ALERT_LEVELS.WARNING + steps, HOLD_ALERT_LEVELS.SUPERVISOR);
+    }
+
+    raiseHoldAlert(level, message) {
+        this.addDebugMessage(`Hold alert level ${level}: ${message}`);
+
+        switch (level) {
+            case HOLD_ALERT_LEVELS.WARNING:
+                this.showToast('Long Hold', `${message}. Check in with the customer.`, 'warning');
+                break;
+            case HOLD_ALERT_LEVELS.CRITICAL:
+                this.showToast('Hold Time Exceeded', `${message}. Please take the customer off hold.`, 'error', 'sticky');
+                if (this.holdAlertChime) {
+                    this.playHoldAlertChime();
+                }
+                break;
+            case HOLD_ALERT_LEVELS.SUPERVISOR:
+                if (this.notifySupervisorOnHoldBreach) {
+                    this.updateCallDuration();
+                    this.createCallReview(HOLD_SLA_REVIEW_REASON, message, this.callDuration)
+                        .then(() => {
+                            this.showToast('Supervisor Notified', `${message}. Your supervisor has been notified.`, 'error', 'sticky');
+                        })
+                        .catch(() => {
+                            // createCallReview already logged the failure
+                        });
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    playHoldAlertChime() {
+        try {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) {
+                return;
+            }
+
+            // Two short rising tones, generated so no static resource is needed
+            const audioContext = new AudioContextClass();
+            [880, 1175].forEach((frequency, index) => {
+                const oscillator = audioContext.createOscillator();
+                const gain = audioContext.createGain();
+                const startAt = audioContext.currentTime + index * 0.25;
+                oscillator.frequency.value = frequency;
+                gain.gain.setValueAtTime(0.2, startAt);
+                gain.gain.exponentialRampToValueAtTime(0.001, startAt + 0.2);
+                oscillator.connect(gain);
+                gain.connect(audioContext.destination);
+                oscillator.start(startAt);
+                oscillator.stop(startAt + 0.2);
+            });
+            setTimeout(() => audioContext.close(), 1000);
+        } catch (error) {
+            this.addDebugMessage(`Unable to play hold alert chime: ${error.message}`, 'warn', 'general');
+        }
+    }
+
+    // =====================================
+    // CALL STATE MACHINE
+    // =====================================
+
+    /**
+     * Run a call event through the state machine and apply its side effects if the transition
+     * is legal. Duplicates and illegal transitions are logged and dropped; for toolkit events an
+     * illegal transition also triggers a reconcile, since it usually means an event was missed.
+     */
+    transitionCallState(type, detail = {}, fromToolkit = true) {
+        const result = this.callStateMachine.dispatch(type, detail || {});
+        if (result.duplicate) {
+            this.addDebugMessage(`Ignored ${result.reason}`, 'warn', 'stateTransition');
+            return false;
+        }
+        if (!result.accepted) {
+            this.addDebugMessage(`Illegal transition ignored: ${result.reason}`, 'warn', 'stateTransition');
+            if (fromToolkit) {
+                this.reconcileCallState();
+            }
+            return false;
+        }
+
+        this.addDebugMessage(`Call state ${type}: ${result.from} -> ${result.to}${this.callStateMachine.isMuted ? ' (muted)' : ''}`, 'info', 'stateTransition');
+        switch (type) {
+            case 'callstarted':
+                // Call has started but may not be connected to rep yet
+                if (this.isInWrapUp) {
+                    this.completeWrapUp(true);
+                }
+                this.callStatus = 'Incoming';
+                this.isCallActive = true;
+                this.persistCallState();
+                this.publishCallState('incoming');
+                break;
+            case 'callconnected':
+                this.handleCallStarted();
+                break;
+            case 'hold':
+                this.startHoldTimer();
+                break;
+            case 'resume':
+                this.endHoldTimer();
+                break;
+            case 'mute':
+                this.muteStart = Date.now();
+                this.isMuted = true;
+                this.persistCallState();
+                this.publishCallState('mute');
+                this.showToast('Call Muted', 'The call has been muted', 'info');
+                break;
+            case 'unmute':
+                this.endMuteSession();
+                this.isMuted = false;
+                this.persistCallState();
+                this.publishCallState('unmute');
+                this.showToast('Call Unmuted', 'The call has been unmuted', 'info');
+                break;
+            case 'callended':
+                this.finalizeCall();
+                break;
+            default:
+                break;
+        }
+        return true;
+    }
+
+    // Ask the toolkit what it thinks the call looks like and apply the difference
+    reconcileCallState() {
+        if (this.isReconcilingCallState) {
+            return Promise.resolve();
+        }
+
+        this.isReconcilingCallState = true;
+        return this.readToolkitCallState()
+            .then(toolkitState => {
+                if (!toolkitState) {
+                    this.addDebugMessage('No toolkit call state to reconcile against - keeping current state', 'info', 'stateTransition');
+                    return;
+                }
+                this.applyCallStateCorrections(this.callStateMachine.reconcile(toolkitState));
+            })
+            .finally(() => {
+                this.isReconcilingCallState = false;
+            });
+    }
+
+    applyCallStateCorrections(corrections) {
+        if (!corrections.length) {
+            this.addDebugMessage('Call state matches the toolkit', 'debug', 'stateTransition');
+            return;
+        }
+        corrections.forEach(type => {
+            this.addDebugMessage(`Reconciling with toolkit: applying ${type}`, 'info', 'stateTransition');
+            this.transitionCallState(type, {}, false);
+        });
+    }
+
+    // =====================================
+    // CALL STATE PERSISTENCE (RELOAD RECOVERY)
+    // =====================================
+
+    get callStateStorageKey() {
+        return `${CALL_STATE_STORAGE_PREFIX}${this.recordId}`;
+    }
+
+    persistCallState() {
+        if (!this.recordId || !this.isCallActive || this.callStatus === 'Ended') {
+            return;
+        }
+
+        const snapshot = {
+            ...this.buildCallStateSnapshot(),
+            recordCallId: this.recordCallId,
+            backgroundCalls: this.backgroundCalls.map(call => call.snapshot),
+            savedAt: Date.now()
+        };
+
+        try {
+            window.sessionStorage.setItem(this.callStateStorageKey, JSON.stringify(snapshot));
+        } catch (error) {
+            this.addDebugMessage(`Unable to store call state: ${error.message}`, 'warn', 'stateTransition');
+        }
+    }
+
+    // The foreground call's state; background calls are kept in this same shape
+    buildCallStateSnapshot() {
+        return {
+            callId: this.activeCallId,
+            callLabel: this.activeCallLabel,
+            callStatus: this.callStatus,
+            callStartTime: this.callStartTime ? this.callStartTime.getTime() : null,
+            isOnHold: this.isOnHold,
+            currentHoldStart: this.currentHoldStart,
+            totalHoldTime: this.totalHoldTime,
+            holdSessions: this.holdSessions,
+            isMuted: this.isMuted,
+            muteStart: this.muteStart,
+            totalMuteTime: this.totalMuteTime,
+            participants: this.participants,
+            isConference: this.isConference,
+            isRecording: this.isRecording,
+            recordingPausedAt: this.recordingPausedAt,
+            recordingPauseReason: this.recordingPauseReason,
+            recordingAudit: this.recordingAudit,
+            singleHoldAlertLevel: this.singleHoldAlertLevel,
+            cumulativeHoldAlertLevel: this.cumulativeHoldAlertLevel
+        };
+    }
+
+    readStoredCallState() {
+        try {
+            const stored = window.sessionStorage.getItem(this.callStateStorageKey);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            this.addDebugMessage(`Unable to read stored call state: ${error.message}`, 'warn', 'stateTransition');
+            return null;
+        }
+    }
+
+    clearStoredCallState() {
+        try {
+            window.sessionStorage.removeItem(this.callStateStorageKey);
+        } catch (error) {
+            this.addDebugMessage(`Unable to clear stored call state: ${error.message}`, 'warn', 'stateTransition');
+        }
+    }
+
+    // Ask the provider for the live call state. Not every provider implements getCallState(),
+    // in which case the stored snapshot is used on its own.
+    readToolkitCallState() {
+        return this.invokeToolkitMethod('getCallState')
+            .then(state => state || null)
+            .catch(error => {
+                this.addDebugMessage(`Toolkit call state unavailable: ${error.message}`, 'warn', 'stateTransition');
+                return null;
+            });
+    }
+
+    restoreCallState() {
+        // Only once per page load, and never over state that live events have already set
+        if (this.callStateRestored || this.callStatus !== 'No Call') {
+            return Promise.resolve();
+        }
+        this.callStateRestored = true;
+
+        if (this.callEndDateTime) {
+            this.clearStoredCallState();
+            return Promise.resolve();
+        }
+
+        const snapshot = this.readStoredCallState();
+        return this.readToolkitCallState().then(toolkitState => {
+            // Events may have arrived while the toolkit was being queried
+            if (this.callStatus !== 'No Call') {
+                return;
+            }
+            if (toolkitState && toolkitState.isActive === false) {
+                this.addDebugMessage('Toolkit reports no active call - discarding stored call state', 'info', 'stateTransition');
+                this.clearStoredCallState();
+                return;
+            }
+            if (!snapshot && !toolkitState) {
+                return;
+            }
+
+            if (snapshot) {
+                this.applyCallStateSnapshot(snapshot);
+                this.restoreBackgroundCalls(snapshot);
+            } else {
+                this.applyToolkitCallState(toolkitState);
+            }
+
+            this.callStateMachine.reset(this.isOnHold ? CALL_STATES.ON_HOLD : this.callStatus, this.isMuted);
+
+            // The toolkit is the source of truth for hold and mute if it reported them
+            if (snapshot && toolkitState) {
+                this.applyCallStateCorrections(this.callStateMachine.reconcile(toolkitState));
+            }
+
+            this.telephonyAvailable = this.telephonyAvailable || this.toolkitApiAvailable;
+            if (this.callStartTime) {
+                this.startCallDurationTimer();
+                this.updateCallDuration();
+            }
+            this.formattedTotalHoldTime = this.formatTime(this.getTotalHoldTime());
+            this.holdColorClass = this.getHoldColorClass(this.getTotalHoldTime());
+            this.persistCallState();
+            this.publishCallState('restored');
+            this.addDebugMessage(`Call state restored from ${snapshot ? 'session store' : 'toolkit'}: ${this.callStatus}, duration ${this.formattedCallDuration}`, 'info', 'stateTransition');
+        });
+    }
+
+    applyCallStateSnapshot(snapshot) {
+        this.activeCallId = snapshot.callId || '';
+        this.activeCallLabel = snapshot.callLabel || '';
+        this.isCallActive = true;
+        this.callStatus = snapshot.callStatus || 'Connected';
+        this.callStartTime = snapshot.callStartTime ? new Date(snapshot.callStartTime) : null;
+        this.totalHoldTime = snapshot.totalHoldTime || 0;
+        this.holdSessions = snapshot.holdSessions || [];
+        this.isOnHold = !!snapshot.isOnHold && !!snapshot.currentHoldStart;
+        this.currentHoldStart = this.isOnHold ? snapshot.currentHoldStart : null;
+        this.isMuted = !!snapshot.isMuted;
+        this.muteStart = snapshot.muteStart || null;
+        this.totalMuteTime = snapshot.totalMuteTime || 0;
+        this.participants = snapshot.participants || [];
+        this.isConference = !!snapshot.isConference;
+        this.isRecording = snapshot.isRecording !== false;
+        this.recordingPausedAt = this.isRecording ? null : snapshot.recordingPausedAt;
+        this.recordingPauseReason = snapshot.recordingPauseReason || '';
+        this.recordingAudit = snapshot.recordingAudit || [];
+        this.singleHoldAlertLevel = snapshot.singleHoldAlertLevel || HOLD_ALERT_LEVELS.NONE;
+        this.cumulativeHoldAlertLevel = snapshot.cumulativeHoldAlertLevel || HOLD_ALERT_LEVELS.NONE;
+
+        if (this.isOnHold) {
+            this.startHoldDisplayInterval();
+        }
+        if (!this.isRecording && this.recordingPausedAt && this.recordingAutoResumeMs) {
+            // Keep the original deadline rather than restarting the countdown
+            this.scheduleRecordingAutoResume(this.recordingPausedAt + this.recordingAutoResumeMs - Date.now());
+        }
+    }
+
+    applyToolkitCallState(toolkitState) {
+        // Without a snapshot only the start time and flags are known; earlier hold sessions are lost
+        const connectedAt = toolkitState.connectedTime || toolkitState.callStartTime;
+        this.isCallActive = true;
+        this.callStatus = connectedAt ? 'Connected' : 'Incoming';
+        this.callStartTime = connectedAt ? new Date(connectedAt) : null;
+        this.isMuted = !!toolkitState.isMuted;
+        this.muteStart = this.isMuted ? Date.now() : null;
+        this.participants = [this.createCustomerParticipant()];
+
+        if (toolkitState.isOnHold) {
+            this.startHoldTimer();
+        }
+    }
+
+    // =====================================
+    // CONCURRENT CALL METHODS
+    // =====================================
+
+    findBackgroundCall(detail) {
+        const callId = getEventCallId(detail);
+        return callId ? this.backgroundCalls.find(call => call.callId === callId) || null : null;
+    }
+
+    /**
+     * Route a toolkit event to the call it belongs to by call id. A call starting under a new id
+     * while another is live moves that one to the background, so the new call takes over the
+     * toolbar. Events for a call that is no longer live are dropped.
+     */
+    dispatchCallEvent(type, detail = {}) {
+        const backgroundCall = this.findBackgroundCall(detail);
+        if (backgroundCall) {
+            this.applyBackgroundCallEvent(backgroundCall, type, detail);
+            return;
+        }
+
+        const callId = getEventCallId(detail);
+        if (callId && callId !== this.activeCallId) {
+            const startsCall = type === 'callstarted' || type === 'callconnected';
+            if (this.activeCallId && !startsCall) {
+                this.addDebugMessage(`Ignored ${type} for call ${callId}, which is no longer live`, 'warn', 'stateTransition');
+                return;
+            }
+
+            if (startsCall && this.isCallActive && this.callStatus !== 'Ended') {
+                this.parkForegroundCall();
+                this.activeCallLabel = this.formatPhoneNumber(detail.phoneNumber) || 'Unknown number';
+            } else {
+                // The first call of the session is the one this Voice Call record is for
+                this.recordCallId = callId;
+                this.activeCallLabel = '';
+            }
+            this.activeCallId = callId;
+        }
+        this.transitionCallState(type, detail);
+    }
+
+    applyBackgroundCallEvent(call, type, detail) {
+        const result = call.stateMachine.dispatch(type, detail || {});
+        if (!result.accepted) {
+            this.addDebugMessage(`Ignored ${type} for background call ${call.callId}: ${result.reason}`, 'warn', 'stateTransition');
+            return;
+        }
+
+        this.addDebugMessage(`Background call ${call.callId} ${type}: ${result.from} -> ${result.to}`, 'info', 'stateTransition');
+        const snapshot = applyCallEvent(call.snapshot, type);
+        if (type === 'callended') {
+            this.endBackgroundCall(call, snapshot);
+            return;
+        }
+        this.backgroundCalls = this.backgroundCalls.map(item => (item.callId === call.callId ? { ...item, snapshot } : item));
+        this.persistCallState();
+    }
+
+    endBackgroundCall(call, snapshot) {
+        this.backgroundCalls = this.backgroundCalls.filter(item => item.callId !== call.callId);
+        const { holdSeconds } = measureCall(snapshot);
+        this.showToast('Call Ended', `${this.getCallLabel(snapshot.callLabel)} hung up. Total hold time: ${this.formatTime(holdSeconds)}`, 'info');
+
+        if (this.persistCallMetrics && call.callId === this.recordCallId) {
+            this.saveCallMetrics(snapshot);
+        }
+        this.persistCallState();
+        this.publishCallState('backgroundCallEnded');
+    }
+
+    // Move the foreground call to the background as it stands; its timers run on from its timestamps
+    parkForegroundCall() {
+        this.backgroundCalls = [...this.backgroundCalls, {
+            callId: this.activeCallId,
+            snapshot: this.buildCallStateSnapshot(),
+            stateMachine: this.callStateMachine
+        }];
+        this.addDebugMessage(`Call ${this.activeCallId} moved to the background`, 'info', 'stateTransition');
+        this.clearForegroundCall();
+    }
+
+    // Reset the per-call fields so the next call in the foreground starts from nothing
+    clearForegroundCall() {
+        if (this.callDurationInterval) {
+            clearInterval(this.callDurationInterval);
+            this.callDurationInterval = null;
+        }
+        this.resetHoldTimer();
+        this.cancelDtmfSequence();
+        this.clearRecordingAutoResume();
+        this.closeKeypad();
+        this.showTransferDialog = false;
+        this.transferStatus = '';
+        this.isTransferInProgress = false;
+
+        this.callStateMachine = new CallStateMachine();
+        this.activeCallId = '';
+        this.activeCallLabel = '';
+        this.isCallActive = false;
+        this.callStatus = 'No Call';
+        this.callStartTime = null;
+        this.callDuration = 0;
+        this.formattedCallDuration = '00:00:00';
+        this.isMuted = false;
+        this.muteStart = null;
+        this.totalMuteTime = 0;
+        this.participants = [];
+        this.isConference = false;
+        this.isRecording = true;
+        this.recordingPausedAt = null;
+        this.recordingPauseReason = '';
+        this.recordingAudit = [];
+        this.resetCallQuality();
+    }
+
+    bringCallForward(call) {
+        this.backgroundCalls = this.backgroundCalls.filter(item => item.callId !== call.callId);
+        this.callStateMachine = call.stateMachine;
+        this.applyCallStateSnapshot(call.snapshot);
+        this.callEndDateTime = null;
+        this.telephonyAvailable = true;
+
+        if (this.callStartTime) {
+            this.startCallDurationTimer();
+        }
+        this.updateCallDuration();
+        this.formattedTotalHoldTime = this.formatTime(this.getTotalHoldTime());
+        this.holdColorClass = this.getHoldColorClass(this.getTotalHoldTime());
+        this.persistCallState();
+        this.addDebugMessage(`Call ${call.callId} is now in the foreground`, 'info', 'stateTransition');
+    }
+
+    restoreBackgroundCalls(snapshot) {
+        this.recordCallId = snapshot.recordCallId || this.activeCallId;
+        this.backgroundCalls = (snapshot.backgroundCalls || []).map(call => {
+            const stateMachine = new CallStateMachine();
+            stateMachine.reset(call.isOnHold ? CALL_STATES.ON_HOLD : call.callStatus, !!call.isMuted);
+            return { callId: call.callId, snapshot: call, stateMachine: stateMachine };
+        });
+    }
+
+    // Ask the provider to swap the two legs, then bring the chosen call forward. Hold and resume
+    // events for each call follow from the provider and are routed by call id.
+    handleSwitchCall(event) {
+        const target = this.backgroundCalls.find(call => call.callId === event.currentTarget.dataset.id);
+        if (!target || this.isSwitchingCall) {
+            return;
+        }
+
+        this.isSwitchingCall = true;
+        const activeParticipant = this.getCallParticipantType(this.activeCallId);
+        const targetParticipant = this.getCallParticipantType(target.callId);
+        this.addDebugMessage(`Calling toolkit API swap(${activeParticipant}, ${targetParticipant}) for call ${target.callId}`, 'info', 'toolkitCall');
+        this.invokeToolkitMethod('swap', [activeParticipant, targetParticipant])
+            .then(() => {
+                this.switchToCall(target.callId);
+            })
+            .catch(error => {
+                this.addDebugMessage(`Swap action failed: ${error.message}`, 'error', 'toolkitCall');
+                this.showToast('Error', `Unable to switch calls: ${error.message}`, 'error');
+            })
+            .finally(() => {
+                this.isSwitchingCall = false;
+            });
+    }
+
+    switchToCall(callId) {
+        // The call may have hung up while the provider was swapping
+        const target = this.backgroundCalls.find(call => call.callId === callId);
+        if (!target) {
+            this.addDebugMessage(`Call ${callId} ended before the switch completed`, 'warn', 'stateTransition');
+            return;
+        }
+        this.parkForegroundCall();
+        this.bringCallForward(target);
+        this.publishCallState('callSwitched');
+    }
+
+    // The toolkit addresses legs, not calls: this Voice Call's own call is the initial caller and
+    // any other call is the third-party leg
+    getCallParticipantType(callId) {
+        return !this.recordCallId || callId === this.recordCallId ? 'Initial_Caller' : 'Third_Party';
+    }
+
+    getCallLabel(callLabel) {
+        return callLabel || this.displayPhoneNumber || 'Customer';
     }
 
     // =====================================
@@ -289,7 +1245,7 @@ export default class UnifiedPhoneControls extends LightningElement {
     }
 
     checkAndSetupToolkitListeners() {
-        const toolkitApi = this.template.querySelector('lightning-service-cloud-voice-toolkit-api');
+        const toolkitApi = this.getToolkitApi();
         
         if (toolkitApi && !this.eventListenersSetup) {
             this.setupToolkitEventListeners();
@@ -307,10 +1263,10 @@ export default class UnifiedPhoneControls extends LightningElement {
         }
 
         try {
-            const toolkitApi = this.template.querySelector('lightning-service-cloud-voice-toolkit-api');
+            const toolkitApi = this.getToolkitApi();
             
             if (!toolkitApi) {
-                this.addDebugMessage('Service Cloud Voice Toolkit API not found');
+                this.addDebugMessage('Service Cloud Voice Toolkit API not found', 'warn', 'general');
                 return;
             }
 
@@ -329,127 +1285,240 @@ export default class UnifiedPhoneControls extends LightningElement {
             toolkitApi.addEventListener('callconnected', this.handleCallConnectedEvent.bind(this));
             toolkitApi.addEventListener('callended', this.handleCallEndedEvent.bind(this));
             toolkitApi.addEventListener('hangup', this.handleCallEndedEvent.bind(this));
+            toolkitApi.addEventListener('participantadded', this.handleParticipantAddedEvent.bind(this));
+            toolkitApi.addEventListener('participantremoved', this.handleParticipantRemovedEvent.bind(this));
+            toolkitApi.addEventListener('audiostats', this.handleAudioStatsEvent.bind(this));
             
-            this.addDebugMessage('Event listeners registered for: hold, resume, mute, unmute, callstarted, callconnected, callended, hangup');
+            this.addDebugMessage('Event listeners registered for: hold, resume, mute, unmute, callstarted, callconnected, callended, hangup, participantadded, participantremoved, audiostats');
             
             // Stop polling once we've found and set up the toolkit
             this.stopToolkitPolling();
         } catch (error) {
             this.telephonyAvailable = false;
-            this.addDebugMessage(`Failed to setup toolkit event listeners: ${error.message}`);
+            this.addDebugMessage(`Failed to setup toolkit event listeners: ${error.message}`, 'error', 'general');
+        }
+    }
+
+    handleSimulatorScriptChange(event) {
+        this.simulatorScript = event.detail.value;
+    }
+
+    // Debug mode only: swap the toolkit for the simulator and play the selected script
+    handleStartSimulatedCall() {
+        if (!this.debugMode) {
+            return;
+        }
+        if (this.telephonySimulator) {
+            this.telephonySimulator.stop();
         }
+
+        this.telephonySimulator = new TelephonySimulator();
+        this.eventListenersSetup = false;
+        this.setupToolkitEventListeners();
+        this.addDebugMessage(`Starting simulated call: ${SIMULATOR_SCRIPTS[this.simulatorScript].label}`);
+        this.telephonySimulator.runScript(this.simulatorScript);
     }
 
     // Event handlers
     handleHoldEvent(event) {
         try {
-            this.addDebugMessage(`Received hold event: ${JSON.stringify(event.detail || {})}`);
-            console.log('UnifiedPhoneControls: Processing hold event - starting timer');
-            this.startHoldTimer();
+            this.addDebugMessage('Received hold event', 'info', 'toolkitEvent', event.detail || {});
+            // Legs belong to the foreground call, so a background call's event never resolves to one
+            const participant = this.findBackgroundCall(event.detail) ? null : this.resolveEventParticipant(event.detail);
+            if (participant && participant.role !== 'Customer') {
+                this.startParticipantHold(participant.id);
+                return;
+            }
+            this.dispatchCallEvent('hold', event.detail);
         } catch (error) {
-            this.addDebugMessage(`Error processing hold event: ${error.message}`);
+            this.addDebugMessage(`Error processing hold event: ${error.message}`, 'error', 'toolkitEvent');
         }
     }
 
     handleResumeEvent(event) {
         try {
-            this.addDebugMessage(`Received resume event: ${JSON.stringify(event.detail || {})}`);
-            console.log('UnifiedPhoneControls: Analyzing resume event...', event.detail);
-            
-            // Since both hold and resume seem to fire "resume" events, 
-            // let's try to determine the actual state from the context
-            if (this.isOnHold) {
-                console.log('UnifiedPhoneControls: Currently on hold, treating this as resume');
-                this.endHoldTimer();
-            } else {
-                console.log('UnifiedPhoneControls: Not currently on hold, treating this as hold');
-                this.startHoldTimer();
+            this.addDebugMessage('Received resume event', 'info', 'toolkitEvent', event.detail || {});
+            const participant = this.findBackgroundCall(event.detail) ? null : this.resolveEventParticipant(event.detail);
+            if (participant && participant.role !== 'Customer') {
+                if (participant.isOnHold) {
+                    this.endParticipantHold(participant.id);
+                } else {
+                    this.addDebugMessage(`Illegal transition ignored: resume for ${participant.label}, who is not on hold`, 'warn', 'stateTransition');
+                }
+                return;
             }
+
+            this.dispatchCallEvent('resume', event.detail);
         } catch (error) {
-            this.addDebugMessage(`Error processing resume event: ${error.message}`);
+            this.addDebugMessage(`Error processing resume event: ${error.message}`, 'error', 'toolkitEvent');
         }
     }
 
     handleMuteEvent(event) {
         try {
-            this.addDebugMessage(`Received mute event: ${JSON.stringify(event.detail || {})}`);
-            this.isMuted = true;
-            this.showToast('Call Muted', 'The call has been muted', 'info');
+            this.addDebugMessage('Received mute event', 'info', 'toolkitEvent', event.detail || {});
+            this.dispatchCallEvent('mute', event.detail);
         } catch (error) {
-            this.addDebugMessage(`Error processing mute event: ${error.message}`);
+            this.addDebugMessage(`Error processing mute event: ${error.message}`, 'error', 'toolkitEvent');
         }
     }
 
     handleUnmuteEvent(event) {
         try {
-            this.addDebugMessage(`Received unmute event: ${JSON.stringify(event.detail || {})}`);
-            this.isMuted = false;
-            this.showToast('Call Unmuted', 'The call has been unmuted', 'info');
+            this.addDebugMessage('Received unmute event', 'info', 'toolkitEvent', event.detail || {});
+            this.dispatchCallEvent('unmute', event.detail);
         } catch (error) {
-            this.addDebugMessage(`Error processing unmute event: ${error.message}`);
+            this.addDebugMessage(`Error processing unmute event: ${error.message}`, 'error', 'toolkitEvent');
         }
     }
 
     handleCallStartedEvent(event) {
         try {
-            this.addDebugMessage(`Received call started event: ${JSON.stringify(event.detail || {})}`);
-            // Call has started but may not be connected to rep yet
-            this.callStatus = 'Incoming';
-            this.isCallActive = true;
-            this.addDebugMessage('Call started - status set to Incoming');
+            this.addDebugMessage('Received call started event', 'info', 'toolkitEvent', event.detail || {});
+            this.dispatchCallEvent('callstarted', event.detail);
         } catch (error) {
-            this.addDebugMessage(`Error processing call started event: ${error.message}`);
+            this.addDebugMessage(`Error processing call started event: ${error.message}`, 'error', 'toolkitEvent');
         }
     }
 
     handleCallConnectedEvent(event) {
         try {
-            this.addDebugMessage(`Received call connected event: ${JSON.stringify(event.detail || {})}`);
-            // Call is now connected to rep
-            this.handleCallStarted();
+            this.addDebugMessage('Received call connected event', 'info', 'toolkitEvent', event.detail || {});
+            this.dispatchCallEvent('callconnected', event.detail);
         } catch (error) {
-            this.addDebugMessage(`Error processing call connected event: ${error.message}`);
+            this.addDebugMessage(`Error processing call connected event: ${error.message}`, 'error', 'toolkitEvent');
         }
     }
 
     handleCallEndedEvent(event) {
         try {
-            this.addDebugMessage(`Received call ended event: ${JSON.stringify(event.detail || {})}`);
-            this.finalizeCall();
+            this.addDebugMessage('Received call ended event', 'info', 'toolkitEvent', event.detail || {});
+            this.dispatchCallEvent('callended', event.detail);
         } catch (error) {
-            this.addDebugMessage(`Error processing call ended event: ${error.message}`);
+            this.addDebugMessage(`Error processing call ended event: ${error.message}`, 'error', 'toolkitEvent');
         }
     }
 
-    // =====================================
-    // BUTTON CLICK HANDLERS
-    // =====================================
-
-    handleFlagCall() {
-        this.addDebugMessage('Flag call button clicked');
-        // TODO: Implement flag call functionality
-        this.showToast('Call Flagged', 'This call has been flagged for review', 'info');
+    handleParticipantAddedEvent(event) {
+        try {
+            const detail = event.detail || {};
+            this.addDebugMessage('Received participant added event', 'info', 'toolkitEvent', detail);
+
+            const contact = detail.contact || {};
+            const label = contact.label || contact.name || detail.label || this.pendingConsultTarget?.label ||
+                this.formatPhoneNumber(detail.phoneNumber || contact.phoneNumber) || 'Participant';
+            const participant = this.createParticipant({
+                id: detail.participantId || detail.callId || detail.phoneNumber || `participant-${Date.now()}`,
+                role: this.getParticipantRole(detail),
+                label: label,
+                phoneNumber: detail.phoneNumber || contact.phoneNumber || '',
+                participantType: 'Third_Party'
+            });
+
+            this.participants = [...this.participants.filter(item => item.id !== participant.id), participant];
+            this.pendingConsultTarget = null;
+            this.persistCallState();
+            this.publishCallState('participantAdded');
+            this.addDebugMessage(`${participant.role} joined the call: ${participant.label}`);
+        } catch (error) {
+            this.addDebugMessage(`Error processing participant added event: ${error.message}`, 'error', 'toolkitEvent');
+        }
     }
 
-    handleHoldClick() {
+    handleParticipantRemovedEvent(event) {
         try {
-            const toolkitApi = this.template.querySelector('lightning-service-cloud-voice-toolkit-api');
-            
-            if (!toolkitApi) {
-                this.addDebugMessage('Error: Toolkit API not available for hold action');
-                this.showToast('Error', 'Telephony service not available', 'error');
+            const detail = event.detail || {};
+            this.addDebugMessage('Received participant removed event', 'info', 'toolkitEvent', detail);
+
+            const participant = this.resolveEventParticipant(detail);
+            if (!participant) {
                 return;
             }
+            if (participant.role === 'Customer') {
+                if (this.isOnHold) {
+                    this.transitionCallState('resume', {}, false);
+                }
+            } else if (participant.isOnHold) {
+                this.endParticipantHold(participant.id);
+            }
 
-            if (this.isOnHold) {
-                // Call resume
-                this.addDebugMessage('Calling toolkit API resume()');
+            this.participants = this.participants.filter(item => item.id !== participant.id);
+            if (!this.hasThirdPartyParticipants) {
+                this.isConference = false;
+                this.transferStatus = '';
+            }
+            this.persistCallState();
+            this.publishCallState('participantRemoved');
+            this.addDebugMessage(`${participant.role} left the call: ${participant.label}`);
+        } catch (error) {
+            this.addDebugMessage(`Error processing participant removed event: ${error.message}`, 'error', 'toolkitEvent');
+        }
+    }
+
+    // =====================================
+    // BUTTON CLICK HANDLERS
+    // =====================================
+
+    handleFlagCall() {
+        if (this.showFlagPopover) {
+            this.closeFlagPopover();
+            return;
+        }
+        this.showKeypad = false;
+        this.showCallbackPopover = false;
+
+        // Capture the moment now so QA lands where the agent clicked, not where they finished typing
+        this.updateCallDuration();
+        this.flagOffsetSeconds = this.callDuration;
+        this.flagReason = '';
+        this.flagNote = '';
+        this.showFlagPopover = true;
+        this.addDebugMessage(`Flag call opened at call time ${this.formatTime(this.flagOffsetSeconds, true)}`);
+    }
+
+    handleRecordingPauseSelect(event) {
+        this.pauseRecording(event.detail.value);
+    }
+
+    handleRecordingResumeClick() {
+        this.resumeRecording(false);
+    }
+
+    handleKeypadToggle() {
+        this.showKeypad = !this.showKeypad;
+        if (this.showKeypad) {
+            this.showFlagPopover = false;
+            this.showCallbackPopover = false;
+            // Focus the keypad once rendered so digits can be typed straight away
+            Promise.resolve().then(() => {
+                const keypad = this.template.querySelector('.keypad-panel');
+                if (keypad) keypad.focus();
+            });
+        } else {
+            this.cancelDtmfSequence();
+        }
+        this.addDebugMessage(`Keypad ${this.showKeypad ? 'opened' : 'closed'}`);
+    }
+
+    handleHoldClick() {
+        try {
+            const toolkitApi = this.getToolkitApi();
+            
+            if (!toolkitApi) {
+                this.addDebugMessage('Error: Toolkit API not available for hold action', 'error', 'general');
+                this.showToast('Error', 'Telephony service not available', 'error');
+                return;
+            }
+
+            if (this.isOnHold) {
+                // Call resume
+                this.addDebugMessage('Calling toolkit API resume()', 'info', 'toolkitCall');
                 const resumeResult = toolkitApi.resume();
                 
                 // Check if the method returns a Promise
                 if (resumeResult && typeof resumeResult.catch === 'function') {
                     resumeResult.catch(error => {
-                        this.addDebugMessage(`Resume action failed: ${error.message}`);
+                        this.addDebugMessage(`Resume action failed: ${error.message}`, 'error', 'toolkitCall');
                         this.showToast('Error', 'Failed to resume call', 'error');
                     });
                 } else {
@@ -457,13 +1526,13 @@ export default class UnifiedPhoneControls extends LightningElement {
                 }
             } else {
                 // Call hold
-                this.addDebugMessage('Calling toolkit API hold()');
+                this.addDebugMessage('Calling toolkit API hold()', 'info', 'toolkitCall');
                 const holdResult = toolkitApi.hold();
                 
                 // Check if the method returns a Promise
                 if (holdResult && typeof holdResult.catch === 'function') {
                     holdResult.catch(error => {
-                        this.addDebugMessage(`Hold action failed: ${error.message}`);
+                        this.addDebugMessage(`Hold action failed: ${error.message}`, 'error', 'toolkitCall');
                         this.showToast('Error', 'Failed to hold call', 'error');
                     });
                 } else {
@@ -471,20 +1540,19 @@ export default class UnifiedPhoneControls extends LightningElement {
                 }
             }
         } catch (error) {
-            this.addDebugMessage(`Error in handleHoldClick: ${error.message}`);
+            this.addDebugMessage(`Error in handleHoldClick: ${error.message}`, 'error', 'general');
             this.showToast('Error', 'Failed to process hold action', 'error');
         }
     }
 
     handleMuteClick() {
-        console.log('🔇 Mute button clicked!', { isMuted: this.isMuted });
         this.addDebugMessage(`🔇 Mute button clicked - Current state: ${this.isMuted ? 'MUTED' : 'UNMUTED'}`);
         
         try {
-            const toolkitApi = this.template.querySelector('lightning-service-cloud-voice-toolkit-api');
+            const toolkitApi = this.getToolkitApi();
             
             if (!toolkitApi) {
-                this.addDebugMessage('❌ Error: Toolkit API not available for mute action');
+                this.addDebugMessage('❌ Error: Toolkit API not available for mute action', 'error', 'general');
                 this.showToast('Error', 'Telephony service not available', 'error');
                 return;
             }
@@ -494,138 +1562,1489 @@ export default class UnifiedPhoneControls extends LightningElement {
             if (this.isMuted) {
                 // Call unmute
                 this.addDebugMessage('🔊 Attempting to UNMUTE call');
-                console.log('🔊 Calling toolkit API unmute()');
                 
                 const unmuteResult = toolkitApi.unmute();
                 
                 // Check if the method returns a Promise
                 if (unmuteResult && typeof unmuteResult.catch === 'function') {
                     unmuteResult.catch(error => {
-                        this.addDebugMessage(`❌ Unmute action failed: ${error.message}`);
+                        this.addDebugMessage(`❌ Unmute action failed: ${error.message}`, 'error', 'toolkitCall');
                         this.showToast('Error', 'Failed to unmute call', 'error');
-                        console.error('Unmute failed:', error);
                     });
                 } else {
                     this.addDebugMessage('✅ Unmute method called (no Promise returned)');
-                    console.log('✅ Unmute method called successfully');
                 }
             } else {
                 // Call mute
                 this.addDebugMessage('🔇 Attempting to MUTE call');
-                console.log('🔇 Calling toolkit API mute()');
                 
                 const muteResult = toolkitApi.mute();
                 
                 // Check if the method returns a Promise
                 if (muteResult && typeof muteResult.catch === 'function') {
                     muteResult.catch(error => {
-                        this.addDebugMessage(`❌ Mute action failed: ${error.message}`);
+                        this.addDebugMessage(`❌ Mute action failed: ${error.message}`, 'error', 'toolkitCall');
                         this.showToast('Error', 'Failed to mute call', 'error');
-                        console.error('Mute failed:', error);
                     });
                 } else {
                     this.addDebugMessage('✅ Mute method called (no Promise returned)');
-                    console.log('✅ Mute method called successfully');
                 }
             }
         } catch (error) {
-            this.addDebugMessage(`❌ Error in handleMuteClick: ${error.message}`);
+            this.addDebugMessage(`❌ Error in handleMuteClick: ${error.message}`, 'error', 'general');
             this.showToast('Error', 'Failed to process mute action', 'error');
-            console.error('handleMuteClick error:', error);
         }
     }
 
     handleTransfer() {
         try {
-            const toolkitApi = this.template.querySelector('lightning-service-cloud-voice-toolkit-api');
+            const toolkitApi = this.getToolkitApi();
             
             if (!toolkitApi) {
-                this.addDebugMessage('Error: Toolkit API not available for transfer action');
+                this.addDebugMessage('Error: Toolkit API not available for transfer action', 'error', 'general');
                 this.showToast('Error', 'Telephony service not available', 'error');
                 return;
             }
 
+            if (this.isTransferInProgress) {
+                this.addDebugMessage('Transfer already in progress, ignoring transfer click', 'warn', 'general');
+                return;
+            }
+
             this.addDebugMessage('Transfer button clicked - opening transfer dialog');
-            // TODO: Implement transfer dialog or direct transfer
-            // For now, show info message
-            this.showToast('Transfer', 'Transfer functionality will be implemented', 'info');
+            this.resetTransferDialog();
+            this.showTransferDialog = true;
+            this.loadTransferContacts();
         } catch (error) {
-            this.addDebugMessage(`Error in handleTransfer: ${error.message}`);
+            this.addDebugMessage(`Error in handleTransfer: ${error.message}`, 'error', 'general');
             this.showToast('Error', 'Failed to process transfer action', 'error');
         }
     }
 
     handleEndCall() {
         try {
-            const toolkitApi = this.template.querySelector('lightning-service-cloud-voice-toolkit-api');
+            const toolkitApi = this.getToolkitApi();
             
             if (!toolkitApi) {
-                this.addDebugMessage('Error: Toolkit API not available for end call action');
+                this.addDebugMessage('Error: Toolkit API not available for end call action', 'error', 'general');
                 this.showToast('Error', 'Telephony service not available', 'error');
                 return;
             }
 
-            this.addDebugMessage('Calling toolkit API endCall()');
+            this.addDebugMessage('Calling toolkit API endCall()', 'info', 'toolkitCall');
             const endCallResult = toolkitApi.endCall();
             
             // Check if the method returns a Promise
             if (endCallResult && typeof endCallResult.catch === 'function') {
                 endCallResult.catch(error => {
-                    this.addDebugMessage(`End call action failed: ${error.message}`);
+                    this.addDebugMessage(`End call action failed: ${error.message}`, 'error', 'toolkitCall');
                     this.showToast('Error', 'Failed to end call', 'error');
                 });
             } else {
                 this.addDebugMessage('End call method called (no Promise returned)');
                 // Since we can't rely on a callended event, finalize immediately
-                this.finalizeCall();
+                this.transitionCallState('callended', {}, false);
             }
         } catch (error) {
-            this.addDebugMessage(`Error in handleEndCall: ${error.message}`);
+            this.addDebugMessage(`Error in handleEndCall: ${error.message}`, 'error', 'general');
             this.showToast('Error', 'Failed to process end call action', 'error');
         }
     }
 
+    // =====================================
+    // TRANSFER DIALOG METHODS
+    // =====================================
+
+    loadTransferContacts() {
+        this.isLoadingTransferContacts = true;
+        this.addDebugMessage('Calling toolkit API getPhoneContacts()', 'info', 'toolkitCall');
+
+        this.invokeToolkitMethod('getPhoneContacts')
+            .then(result => {
+                // Providers return either { contacts: [...] } or a bare array
+                const contacts = Array.isArray(result) ? result : (result?.contacts || []);
+                this.transferContacts = contacts.map(contact => this.normalizeTransferContact(contact));
+                this.addDebugMessage(`Loaded ${this.transferContacts.length} transfer contacts`);
+            })
+            .catch(error => {
+                this.transferContacts = [];
+                this.addDebugMessage(`Loading transfer contacts failed: ${error.message}`, 'error', 'general');
+                this.showToast('Transfer', 'Could not load queues and agents. You can still transfer to an external number.', 'warning');
+                this.transferTargetTab = 'PhoneNumber';
+            })
+            .finally(() => {
+                this.isLoadingTransferContacts = false;
+            });
+    }
+
+    normalizeTransferContact(contact) {
+        return {
+            id: contact.id || contact.phoneNumber,
+            type: contact.type || 'PhoneBook',
+            label: contact.label || contact.name || contact.phoneNumber || 'Unknown',
+            phoneNumber: contact.phoneNumber || '',
+            availability: contact.availability || ''
+        };
+    }
+
+    resetTransferDialog() {
+        this.transferType = 'blind';
+        this.transferTargetTab = 'Queue';
+        this.transferSearchTerm = '';
+        this.selectedTransferTargetId = null;
+        this.externalTransferNumber = '';
+    }
+
+    closeTransferDialog() {
+        this.showTransferDialog = false;
+        this.resetTransferDialog();
+        this.addDebugMessage('Transfer dialog closed');
+    }
+
+    handleTransferDialogKeydown(event) {
+        if (event.key === 'Escape') {
+            event.stopPropagation();
+            this.closeTransferDialog();
+        }
+    }
+
+    handleTransferTypeChange(event) {
+        this.transferType = event.detail.value;
+    }
+
+    handleTransferTabChange(event) {
+        this.transferTargetTab = event.target.value;
+        this.selectedTransferTargetId = null;
+    }
+
+    handleTransferSearch(event) {
+        this.transferSearchTerm = event.target.value || '';
+    }
+
+    handleTransferTargetSelect(event) {
+        this.selectedTransferTargetId = event.currentTarget.dataset.id;
+    }
+
+    handleExternalNumberChange(event) {
+        this.externalTransferNumber = event.target.value || '';
+        this.selectedTransferTargetId = null;
+    }
+
+    // Resolve what the agent picked into the arguments addParticipant() expects
+    resolveTransferTarget() {
+        if (this.transferTargetTab === 'PhoneNumber' && this.externalTransferNumber) {
+            if (!this.isValidTransferNumber(this.externalTransferNumber)) {
+                return null;
+            }
+            const number = this.externalTransferNumber.trim();
+            return { type: 'PhoneNumber', destination: number, label: this.formatPhoneNumber(number) };
+        }
+
+        const contact = this.transferContacts.find(item => item.id === this.selectedTransferTargetId);
+        if (!contact) {
+            return null;
+        }
+
+        // Phone book entries are dialed by number, queues and agents by id
+        if (contact.type === 'PhoneBook' || contact.type === 'PhoneNumber') {
+            return { type: 'PhoneNumber', destination: contact.phoneNumber, label: contact.label };
+        }
+        return { type: contact.type, destination: contact.id, label: contact.label };
+    }
+
+    isValidTransferNumber(number) {
+        const digits = (number || '').replace(/\D/g, '');
+        return /^\+?[0-9\s().-]+$/.test(number.trim()) && digits.length >= 7 && digits.length <= 15;
+    }
+
+    handleTransferSubmit() {
+        const target = this.resolveTransferTarget();
+        if (!target) {
+            this.showToast('Transfer', 'Select a queue or agent, or enter a valid phone number', 'error');
+            return;
+        }
+
+        const isBlindTransfer = this.transferType === 'blind';
+        this.showTransferDialog = false;
+        this.isTransferInProgress = true;
+        this.transferStatus = isBlindTransfer ? `Transferring to ${target.label}...` : `Calling ${target.label}...`;
+        this.pendingConsultTarget = isBlindTransfer ? null : target;
+        this.addDebugMessage(`Calling toolkit API addParticipant(${target.type}, ${target.destination}, blind: ${isBlindTransfer})`, 'info', 'toolkitCall');
+
+        this.invokeToolkitMethod('addParticipant', [target.type, target.destination, isBlindTransfer])
+            .then(() => {
+                if (isBlindTransfer) {
+                    this.transferStatus = `Transferred to ${target.label}`;
+                    this.showToast('Call Transferred', `The call was transferred to ${target.label}`, 'success');
+                } else {
+                    this.transferStatus = `Consulting with ${target.label}`;
+                    this.showToast('Consult Started', `You are now consulting with ${target.label}`, 'info');
+                }
+                this.addDebugMessage(`Transfer request accepted: ${this.transferStatus}`);
+            })
+            .catch(error => {
+                this.transferStatus = '';
+                this.pendingConsultTarget = null;
+                this.addDebugMessage(`Transfer action failed: ${error.message}`, 'error', 'toolkitCall');
+                this.showToast('Error', `Failed to transfer call: ${error.message}`, 'error');
+            })
+            .finally(() => {
+                this.isTransferInProgress = false;
+                this.resetTransferDialog();
+            });
+    }
+
+    // =====================================
+    // LIGHTNING MESSAGE SERVICE METHODS
+    // =====================================
+
+    publishCallState(transition) {
+        if (!this.messageContext) {
+            return;
+        }
+
+        this.updateCallDuration();
+        const message = {
+            messageType: 'state',
+            recordId: this.recordId,
+            transition: transition,
+            callStatus: this.isOnHold && this.isCallActive ? 'On Hold' : this.callStatus,
+            isOnHold: this.isOnHold,
+            isMuted: this.isMuted,
+            isRecording: this.isRecording,
+            callDurationSeconds: this.callDuration,
+            totalHoldSeconds: this.getTotalHoldTime(),
+            participantCount: this.participants.length,
+            callId: this.activeCallId || null,
+            callCount: this.callCount,
+            source: CALL_STATE_MESSAGE_SOURCE,
+            timestamp: new Date().toISOString()
+        };
+
+        try {
+            publish(this.messageContext, CALL_STATE_CHANNEL, message);
+            this.addDebugMessage(`Published call state: ${transition}`, 'debug', 'stateTransition');
+        } catch (error) {
+            this.addDebugMessage(`Unable to publish call state: ${error.message}`, 'warn', 'stateTransition');
+        }
+    }
+
+    subscribeToCallCommands() {
+        if (this.callStateSubscription || !this.messageContext) {
+            return;
+        }
+        // Application scope so utility bar widgets and other tabs can reach this call
+        this.callStateSubscription = subscribe(
+            this.messageContext,
+            CALL_STATE_CHANNEL,
+            message => this.handleCallCommand(message),
+            { scope: APPLICATION_SCOPE }
+        );
+    }
+
+    unsubscribeFromCallCommands() {
+        if (this.callStateSubscription) {
+            unsubscribe(this.callStateSubscription);
+            this.callStateSubscription = null;
+        }
+    }
+
+    handleCallCommand(message) {
+        if (!message || message.messageType !== 'command') {
+            return;
+        }
+        // Only requestState may omit the recordId; anything that changes a call must name it, or one
+        // message would act on the live call in every open console tab
+        if (!message.recordId && message.command !== 'requestState') {
+            this.addDebugMessage(`Ignoring ${message.command} command without a recordId`, 'warn', 'messageService');
+            return;
+        }
+        if (message.recordId && message.recordId !== this.recordId) {
+            return;
+        }
+        if (!this.shouldShowControls) {
+            return;
+        }
+
+        this.addDebugMessage(`Received ${message.command} command from ${message.source || 'unknown source'}`, 'info', 'messageService');
+        switch (message.command) {
+            case 'hold':
+                if (!this.isOnHold) {
+                    this.handleHoldClick();
+                }
+                break;
+            case 'resume':
+                if (this.isOnHold) {
+                    this.handleHoldClick();
+                }
+                break;
+            case 'mute':
+                if (!this.isMuted) {
+                    this.handleMuteClick();
+                }
+                break;
+            case 'unmute':
+                if (this.isMuted) {
+                    this.handleMuteClick();
+                }
+                break;
+            case 'end':
+                this.handleEndCall();
+                break;
+            case 'requestState':
+                this.publishCallState('snapshot');
+                break;
+            default:
+                this.addDebugMessage(`Ignoring unknown call command: ${message.command}`, 'warn', 'messageService');
+                break;
+        }
+    }
+
+    // =====================================
+    // KEYBOARD SHORTCUT METHODS
+    // =====================================
+
+    initializeKeyboardShortcuts() {
+        const usedBy = {};
+        this.keyboardShortcuts = SHORTCUT_ACTIONS.map(definition => {
+            const parsed = parseShortcut(this[definition.property]);
+            const entry = {
+                action: definition.action,
+                label: definition.label,
+                keys: parsed && !parsed.error ? parsed.label : (this[definition.property] || 'None'),
+                shortcut: parsed,
+                conflict: ''
+            };
+
+            if (!parsed) {
+                entry.conflict = 'Not assigned';
+            } else if (parsed.error) {
+                entry.conflict = parsed.error;
+            } else if (findReservedConflict(parsed)) {
+                entry.conflict = `Reserved for ${findReservedConflict(parsed).action}`;
+            } else if (parsed.label === SHORTCUT_HELP_KEYS || usedBy[parsed.label]) {
+                entry.conflict = `Already used by ${usedBy[parsed.label] || 'Keyboard Shortcuts'}`;
+            } else {
+                usedBy[parsed.label] = definition.label;
+            }
+            return entry;
+        });
+
+        this.keyboardShortcuts
+            .filter(entry => entry.conflict && entry.shortcut)
+            .forEach(entry => this.addDebugMessage(`Shortcut ${entry.keys} for ${entry.label} disabled: ${entry.conflict}`, 'warn', 'shortcut'));
+
+        this.boundHandleShortcutKeydown = this.handleShortcutKeydown.bind(this);
+        document.addEventListener('keydown', this.boundHandleShortcutKeydown);
+        this.addDebugMessage(`Keyboard shortcuts enabled (${this.activeShortcuts.length} active)`, 'info', 'shortcut');
+    }
+
+    handleShortcutKeydown(event) {
+        if (!this.shouldShowControls || event.repeat) {
+            return;
+        }
+
+        if (matchesShortcut(event, parseShortcut(SHORTCUT_HELP_KEYS))) {
+            event.preventDefault();
+            this.toggleShortcutHelp();
+            return;
+        }
+
+        const match = this.activeShortcuts.find(entry => matchesShortcut(event, entry.shortcut));
+        if (!match) {
+            return;
+        }
+
+        event.preventDefault();
+        this.addDebugMessage(`Shortcut ${match.keys} pressed: ${match.label}`, 'info', 'shortcut');
+        switch (match.action) {
+            case 'hold':
+                this.handleHoldClick();
+                break;
+            case 'mute':
+                this.handleMuteClick();
+                break;
+            case 'endCall':
+                this.confirmEndCallShortcut(match.keys);
+                break;
+            case 'transfer':
+                this.handleTransfer();
+                break;
+            case 'popout':
+                this.toggleFloating();
+                break;
+            default:
+                break;
+        }
+    }
+
+    // Ending a call can't be undone, so the shortcut has to be pressed twice
+    confirmEndCallShortcut(keys) {
+        if (this.endCallConfirmPending) {
+            this.clearEndCallConfirm();
+            this.handleEndCall();
+            return;
+        }
+
+        this.endCallConfirmPending = true;
+        this.showToast('End Call?', `Press ${keys} again within ${END_CALL_CONFIRM_MS / 1000} seconds to end the call`, 'warning');
+        this.endCallConfirmTimeout = setTimeout(() => {
+            this.endCallConfirmPending = false;
+            this.endCallConfirmTimeout = null;
+        }, END_CALL_CONFIRM_MS);
+    }
+
+    clearEndCallConfirm() {
+        if (this.endCallConfirmTimeout) {
+            clearTimeout(this.endCallConfirmTimeout);
+            this.endCallConfirmTimeout = null;
+        }
+        this.endCallConfirmPending = false;
+    }
+
+    toggleShortcutHelp() {
+        this.showShortcutHelp = !this.showShortcutHelp;
+    }
+
+    closeShortcutHelp() {
+        this.showShortcutHelp = false;
+    }
+
+    // =====================================
+    // RECORDING PAUSE / RESUME METHODS
+    // =====================================
+
+    pauseRecording(reason) {
+        if (!this.isRecording || this.isRecordingActionPending) {
+            return;
+        }
+
+        this.isRecordingActionPending = true;
+        this.addDebugMessage(`Calling toolkit API pauseRecording() - reason: ${reason}`, 'info', 'toolkitCall');
+        this.invokeToolkitMethod('pauseRecording')
+            .then(() => {
+                this.isRecording = false;
+                this.recordingPausedAt = Date.now();
+                this.recordingPauseReason = reason;
+                this.logRecordingAction('Paused', reason, false);
+                this.scheduleRecordingAutoResume(this.recordingAutoResumeMs);
+                this.persistCallState();
+                this.publishCallState('recordingPaused');
+                this.showToast('Recording Paused', this.recordingAutoResumeMs
+                    ? `Recording will resume automatically in ${this.formatTime(this.recordingAutoResumeMs / 1000)}`
+                    : 'Remember to resume the recording', 'warning');
+            })
+            .catch(error => {
+                this.addDebugMessage(`Pause recording failed: ${error.message}`, 'error', 'toolkitCall');
+                this.showToast('Error', 'Failed to pause the recording', 'error');
+            })
+            .finally(() => {
+                this.isRecordingActionPending = false;
+            });
+    }
+
+    resumeRecording(automatic) {
+        if (this.isRecording || this.isRecordingActionPending) {
+            return;
+        }
+
+        this.clearRecordingAutoResume();
+        this.isRecordingActionPending = true;
+        this.addDebugMessage(`Calling toolkit API resumeRecording()${automatic ? ' - auto-resume' : ''}`, 'info', 'toolkitCall');
+        this.invokeToolkitMethod('resumeRecording')
+            .then(() => {
+                const pausedSeconds = Math.floor((Date.now() - this.recordingPausedAt) / 1000);
+                this.isRecording = true;
+                this.recordingPausedAt = null;
+                this.recordingPauseReason = '';
+                this.logRecordingAction('Resumed', automatic ? 'Automatic resume after timeout' : 'Resumed by agent', automatic);
+                this.persistCallState();
+                this.publishCallState('recordingResumed');
+                this.showToast('Recording Resumed', `Recording was paused for ${this.formatTime(pausedSeconds)}`, 'success');
+            })
+            .catch(error => {
+                this.addDebugMessage(`Resume recording failed: ${error.message}`, 'error', 'toolkitCall');
+                this.showToast('Error', 'Failed to resume the recording. Please try again.', 'error', 'sticky');
+            })
+            .finally(() => {
+                this.isRecordingActionPending = false;
+            });
+    }
+
+    scheduleRecordingAutoResume(delayMs) {
+        this.clearRecordingAutoResume();
+        if (!delayMs) {
+            return;
+        }
+        this.recordingAutoResumeTimeout = setTimeout(() => {
+            this.recordingAutoResumeTimeout = null;
+            this.resumeRecording(true);
+        }, Math.max(0, delayMs));
+    }
+
+    clearRecordingAutoResume() {
+        if (this.recordingAutoResumeTimeout) {
+            clearTimeout(this.recordingAutoResumeTimeout);
+            this.recordingAutoResumeTimeout = null;
+        }
+    }
+
+    logRecordingAction(action, reason, automatic) {
+        this.updateCallDuration();
+        this.recordingAudit = [...this.recordingAudit, {
+            action: action,
+            reason: reason,
+            automatic: automatic,
+            timestamp: new Date().toISOString(),
+            callOffsetSeconds: this.callDuration,
+            userId: USER_ID
+        }];
+        this.addDebugMessage(`Recording ${action.toLowerCase()}: ${reason}`);
+        this.saveRecordingAudit();
+    }
+
+    // Saved after every change rather than at call end, so the trail survives a closed tab
+    saveRecordingAudit() {
+        if (!this.recordId || !this.isRecordCallInForeground) {
+            return Promise.resolve();
+        }
+
+        const fields = { Id: this.recordId, [RECORDING_AUDIT_FIELD]: JSON.stringify(this.recordingAudit) };
+        return updateRecord({ fields })
+            .then(() => {
+                this.addDebugMessage('Recording audit trail saved to Voice Call record', 'info', 'record');
+            })
+            .catch(error => {
+                this.addDebugMessage(`Saving recording audit failed: ${error.body?.message || error.message}`, 'error', 'record');
+                this.showToast('Recording Audit Not Saved', 'The recording pause could not be logged on this Voice Call', 'warning');
+            });
+    }
+
+    // =====================================
+    // AFTER-CALL WORK (WRAP-UP) METHODS
+    // =====================================
+
+    startWrapUp() {
+        this.isInWrapUp = true;
+        this.wrapUpDisposition = '';
+        this.wrapUpNotes = '';
+        this.acwSeconds = 0;
+        this.wrapUpSaveFailed = false;
+        this.wrapUpStart = Date.now();
+        this.startAcwTimer();
+        this.publishCallState('wrapUpStarted');
+        this.addDebugMessage('Wrap-up started - waiting for a disposition');
+    }
+
+    startAcwTimer() {
+        this.stopAcwTimer();
+        this.acwInterval = setInterval(() => {
+            this.acwSeconds = Math.floor((Date.now() - this.wrapUpStart) / 1000);
+
+            const autoCompleteSeconds = Number(this.wrapUpAutoCompleteSeconds) || 0;
+            if (autoCompleteSeconds > 0 && this.acwSeconds >= autoCompleteSeconds && !this.wrapUpSaveFailed) {
+                this.completeWrapUp(true);
+            }
+        }, 1000);
+    }
+
+    stopAcwTimer() {
+        if (this.acwInterval) {
+            clearInterval(this.acwInterval);
+            this.acwInterval = null;
+        }
+    }
+
+    handleDispositionChange(event) {
+        this.wrapUpDisposition = event.detail.value;
+    }
+
+    handleWrapUpNotesChange(event) {
+        this.wrapUpNotes = event.target.value;
+    }
+
+    handleCompleteWrapUp() {
+        this.completeWrapUp(false);
+    }
+
+    /**
+     * Save the disposition, notes and after-call work time to the Voice Call. When the wrap-up
+     * completes automatically without a disposition, AUTO_COMPLETE_DISPOSITION is saved instead.
+     */
+    completeWrapUp(automatic) {
+        if (!this.isInWrapUp || this.isSavingWrapUp) {
+            return Promise.resolve();
+        }
+        if (!automatic && !this.wrapUpDisposition) {
+            this.showToast('Disposition Required', 'Pick a disposition code to complete the wrap-up', 'warning');
+            return Promise.resolve();
+        }
+
+        this.stopAcwTimer();
+        this.acwSeconds = Math.floor((Date.now() - this.wrapUpStart) / 1000);
+        const disposition = this.wrapUpDisposition || AUTO_COMPLETE_DISPOSITION;
+        const fields = {
+            Id: this.recordId,
+            [WRAP_UP_FIELDS.disposition]: disposition,
+            [WRAP_UP_FIELDS.notes]: this.wrapUpNotes,
+            [WRAP_UP_FIELDS.afterCallWorkSeconds]: this.acwSeconds
+        };
+
+        this.isSavingWrapUp = true;
+        this.addDebugMessage(`Saving wrap-up${automatic ? ' (auto-complete)' : ''}: ${disposition}, ACW ${this.acwSeconds}s`, 'info', 'record');
+        return updateRecord({ fields })
+            .then(() => {
+                this.addDebugMessage('Wrap-up saved to Voice Call record', 'info', 'record');
+                this.showToast('Wrap-Up Complete', `${disposition} - after-call work ${this.formattedAcwTime}`, 'success');
+                this.isInWrapUp = false;
+                this.publishCallState('wrapUpCompleted');
+            })
+            .catch(error => {
+                this.addDebugMessage(`Saving wrap-up failed: ${error.body?.message || error.message}`, 'error', 'record');
+                this.showToast('Wrap-Up Not Saved', 'The disposition could not be saved to this Voice Call. Try again.', 'error', 'sticky');
+                // Keep the wrap-up open and the ACW timer running so the agent can retry
+                this.wrapUpSaveFailed = true;
+                this.startAcwTimer();
+            })
+            .finally(() => {
+                this.isSavingWrapUp = false;
+            });
+    }
+
+    // =====================================
+    // CALL QUALITY METHODS
+    // =====================================
+
+    handleAudioStatsEvent(event) {
+        try {
+            if (!this.enableCallQuality || !this.callStartTime || !this.isCallActive) {
+                return;
+            }
+
+            const channelSamples = readAudioStats(event.detail);
+            if (!channelSamples.length) {
+                return;
+            }
+
+            this.updateCallDuration();
+            const sample = buildQualitySample(channelSamples, this.callDuration);
+            this.callQualitySamples = [...this.callQualitySamples, sample].slice(-CALL_QUALITY_SAMPLE_LIMIT);
+            this.callQualityLevel = sample.level;
+            this.addDebugMessage(`Call quality sample: ${sample.level}`, 'debug', 'callQuality', sample);
+            this.checkCallQualityWarning(sample);
+        } catch (error) {
+            this.addDebugMessage(`Error processing audio stats event: ${error.message}`, 'error', 'toolkitEvent');
+        }
+    }
+
+    // Warn once per degradation, and only when it lasts more than one sample
+    checkCallQualityWarning(sample) {
+        if (sample.level !== QUALITY_LEVELS.POOR) {
+            if (this.callQualityWarningShown && sample.level === QUALITY_LEVELS.GOOD) {
+                this.addDebugMessage('Call quality recovered', 'info', 'callQuality');
+                this.callQualityWarningShown = false;
+            }
+            this.consecutivePoorQualitySamples = 0;
+            return;
+        }
+
+        this.consecutivePoorQualitySamples += 1;
+        if (this.consecutivePoorQualitySamples < CALL_QUALITY_WARNING_SAMPLES || this.callQualityWarningShown) {
+            return;
+        }
+
+        const channel = sample.channels.find(item => item.channel === sample.worstChannel);
+        // Input is the agent's own audio; output is what arrives from the customer's side
+        const source = channel.channel === 'input'
+            ? 'Check your headset and network connection.'
+            : 'The problem is likely on the customer\'s line.';
+        this.callQualityWarningShown = true;
+        this.addDebugMessage(`Poor call quality: ${this.describeQualityChannel(channel)}`, 'warn', 'callQuality');
+        this.showToast('Poor Call Quality', `${channel.label}: ${this.describeQualityChannel(channel)}. ${source}`, 'warning');
+    }
+
+    describeQualityChannel(channel) {
+        const parts = [];
+        if (channel.jitterMs !== null) parts.push(`jitter ${channel.jitterMs} ms`);
+        if (channel.packetLossPercent !== null) parts.push(`packet loss ${channel.packetLossPercent}%`);
+        if (channel.roundTripMs !== null) parts.push(`round trip ${channel.roundTripMs} ms`);
+        if (channel.mos !== null) parts.push(`MOS ${channel.mos}`);
+        return parts.join(', ');
+    }
+
+    resetCallQuality() {
+        this.callQualitySamples = [];
+        this.callQualityLevel = QUALITY_LEVELS.UNKNOWN;
+        this.consecutivePoorQualitySamples = 0;
+        this.callQualityWarningShown = false;
+    }
+
+    saveCallQuality() {
+        if (!this.recordId || !this.callQualitySamples.length) {
+            this.addDebugMessage('Skipping call quality save - no audio stats were received', 'warn', 'callQuality');
+            return Promise.resolve();
+        }
+
+        const summary = summarizeQualitySamples(this.callQualitySamples);
+        const summaryFields = {
+            Id: this.recordId,
+            [CALL_QUALITY_FIELDS.averageMos]: summary.averageMos,
+            [CALL_QUALITY_FIELDS.lowestMos]: summary.lowestMos,
+            [CALL_QUALITY_FIELDS.maxJitterMs]: summary.maxJitterMs,
+            [CALL_QUALITY_FIELDS.maxPacketLossPercent]: summary.maxPacketLossPercent
+        };
+        const fields = {
+            ...summaryFields,
+            [CALL_QUALITY_FIELDS.samples]: serializeQualitySamples(this.callQualitySamples, CALL_QUALITY_SAMPLES_MAX_LENGTH)
+        };
+
+        this.addDebugMessage(`Saving call quality: ${JSON.stringify(summary)}`, 'info', 'record');
+        return updateRecord({ fields })
+            .then(() => {
+                this.addDebugMessage('Call quality saved to Voice Call record', 'info', 'record');
+            })
+            .catch(error => {
+                // Keep the summary even when the samples are rejected
+                this.addDebugMessage(`Saving call quality samples failed: ${error.body?.message || error.message}`, 'error', 'record');
+                return updateRecord({ fields: summaryFields })
+                    .then(() => {
+                        this.addDebugMessage('Call quality summary saved without the samples', 'warn', 'record');
+                        this.showToast('Call Quality Samples Not Saved', 'The call quality summary was saved, but the samples could not be saved to this Voice Call', 'warning');
+                    })
+                    .catch(summaryError => {
+                        this.addDebugMessage(`Saving call quality failed: ${summaryError.body?.message || summaryError.message}`, 'error', 'record');
+                        this.showToast('Call Quality Not Saved', 'Call quality samples could not be saved to this Voice Call', 'warning');
+                    });
+            });
+    }
+
+    // =====================================
+    // OUTBOUND DIAL METHODS
+    // =====================================
+
+    initializeOutboundDial() {
+        this.callerIds = (this.callerIdNumbers || '')
+            .split(',')
+            .map(number => number.trim())
+            .filter(number => {
+                if (number && !isE164(number)) {
+                    this.addDebugMessage(`Caller ID ${number} ignored - use E.164, e.g. +14155550100`, 'warn', 'general');
+                    return false;
+                }
+                return !!number;
+            });
+        this.recentNumbers = this.readRecentNumbers();
+    }
+
+    get recentNumbersStorageKey() {
+        return `${RECENT_NUMBERS_STORAGE_PREFIX}${USER_ID}`;
+    }
+
+    readRecentNumbers() {
+        try {
+            const stored = window.localStorage.getItem(this.recentNumbersStorageKey);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            this.addDebugMessage(`Unable to read recent numbers: ${error.message}`, 'warn', 'general');
+            return [];
+        }
+    }
+
+    addRecentNumber(number) {
+        this.recentNumbers = [
+            { number: number, dialedAt: new Date().toISOString() },
+            ...this.recentNumbers.filter(entry => entry.number !== number)
+        ].slice(0, RECENT_NUMBERS_LIMIT);
+
+        try {
+            window.localStorage.setItem(this.recentNumbersStorageKey, JSON.stringify(this.recentNumbers));
+        } catch (error) {
+            this.addDebugMessage(`Unable to store recent numbers: ${error.message}`, 'warn', 'general');
+        }
+    }
+
+    handleDialNumberChange(event) {
+        this.dialNumber = event.target.value;
+        this.dialError = '';
+    }
+
+    handleDialNumberKeydown(event) {
+        if (event.key === 'Enter') {
+            this.handleDial();
+        }
+    }
+
+    handleCallerIdChange(event) {
+        this.dialCallerId = event.detail.value;
+    }
+
+    handleRecentNumberClick(event) {
+        this.dialNumber = event.currentTarget.dataset.number;
+        this.dialError = '';
+    }
+
+    handleDial() {
+        if (this.isDialing) {
+            return;
+        }
+
+        const result = validatePhoneNumber(this.dialNumber, this.defaultCountryCode);
+        if (!result.valid) {
+            this.dialError = result.error;
+            return;
+        }
+
+        this.isDialing = true;
+        this.addDebugMessage(`Calling toolkit API dial(${result.e164}${this.dialCallerId ? `, ${this.dialCallerId}` : ''})`, 'info', 'toolkitCall');
+        this.invokeToolkitMethod('dial', [result.e164, this.dialCallerId || undefined])
+            .then(() => {
+                this.addRecentNumber(result.e164);
+                this.dialNumber = '';
+                this.callDirection = 'Outbound';
+                this.showToast('Dialing', `Calling ${this.formatPhoneNumber(result.e164)}`, 'info');
+            })
+            .catch(error => {
+                this.addDebugMessage(`Dial action failed: ${error.message}`, 'error', 'toolkitCall');
+                this.showToast('Call Not Placed', error.message, 'error');
+            })
+            .finally(() => {
+                this.isDialing = false;
+            });
+    }
+
+    // =====================================
+    // CALLBACK SCHEDULING METHODS
+    // =====================================
+
+    handleScheduleCallback() {
+        if (this.showCallbackPopover) {
+            this.closeCallbackPopover();
+            return;
+        }
+        this.showKeypad = false;
+        this.showFlagPopover = false;
+
+        // Suggest an hour from now, on the quarter hour
+        const suggested = new Date(Date.now() + CALLBACK_DEFAULT_DELAY_MINUTES * 60000);
+        suggested.setMinutes(Math.ceil(suggested.getMinutes() / 15) * 15, 0, 0);
+        this.callbackDateTime = suggested.toISOString();
+        this.callbackNotes = '';
+        this.showCallbackPopover = true;
+    }
+
+    closeCallbackPopover() {
+        this.showCallbackPopover = false;
+        this.callbackDateTime = '';
+        this.callbackNotes = '';
+    }
+
+    handleCallbackDateTimeChange(event) {
+        this.callbackDateTime = event.detail.value;
+    }
+
+    handleCallbackNotesChange(event) {
+        this.callbackNotes = event.target.value;
+    }
+
+    handleCallbackPopoverKeydown(event) {
+        if (event.key === 'Escape') {
+            event.stopPropagation();
+            this.closeCallbackPopover();
+        }
+    }
+
+    handleCallbackSave() {
+        const callbackTime = new Date(this.callbackDateTime);
+        if (!this.callbackDateTime || isNaN(callbackTime.getTime()) || callbackTime <= new Date()) {
+            this.showToast('Error', 'Pick a callback time in the future', 'error');
+            return;
+        }
+
+        this.isSavingCallback = true;
+        this.createCallbackTask(callbackTime, this.callbackNotes)
+            .then(() => {
+                this.showToast('Callback Scheduled', `Reminder set for ${callbackTime.toLocaleString()}`, 'success');
+                this.closeCallbackPopover();
+            })
+            .catch(() => {
+                this.showToast('Error', 'Failed to schedule the callback', 'error');
+            })
+            .finally(() => {
+                this.isSavingCallback = false;
+            });
+    }
+
+    // Create a Task for the agent with a reminder at the callback time
+    createCallbackTask(callbackTime, notes) {
+        const number = validatePhoneNumber(this.phoneNumber, this.defaultCountryCode);
+        const displayNumber = number.valid ? this.formatPhoneNumber(number.e164) : this.displayPhoneNumber;
+        const description = [
+            notes,
+            `Number: ${number.valid ? number.e164 : this.phoneNumber}`,
+            `Voice Call: ${this.recordId}`
+        ].filter(line => line).join('\n');
+        const caller = this.callerMatch;
+        const fields = {
+            Subject: `Call back ${caller ? caller.name : displayNumber}`,
+            Description: description,
+            TaskSubtype: 'Call',
+            Status: 'Not Started',
+            Priority: 'Normal',
+            OwnerId: USER_ID,
+            ActivityDate: this.toLocalDateString(callbackTime),
+            IsReminderSet: true,
+            ReminderDateTime: callbackTime.toISOString()
+        };
+        if (caller?.objectApiName === 'Contact') {
+            fields.WhoId = caller.id;
+        }
+        if (caller?.accountId) {
+            fields.WhatId = caller.accountId;
+        }
+
+        this.addDebugMessage(`Creating callback ${CALLBACK_TASK_OBJECT} for ${callbackTime.toISOString()}`, 'info', 'record');
+        return createRecord({ apiName: CALLBACK_TASK_OBJECT, fields })
+            .then(record => {
+                this.addDebugMessage(`Callback task created: ${record.id}`, 'info', 'record');
+                return record;
+            })
+            .catch(error => {
+                this.addDebugMessage(`Creating callback task failed: ${error.body?.message || error.message}`, 'error', 'record');
+                throw error;
+            });
+    }
+
+    // Task due dates are dates in the agent's time zone, not UTC
+    toLocalDateString(date) {
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // =====================================
+    // DTMF KEYPAD METHODS
+    // =====================================
+
+    sendDtmf(digits) {
+        this.addDebugMessage(`Calling toolkit API sendDigits(${digits})`, 'info', 'toolkitCall');
+        return this.invokeToolkitMethod('sendDigits', [digits])
+            .then(() => {
+                this.dtmfDigitsSent = `${this.dtmfDigitsSent}${digits}`.slice(-24);
+            })
+            .catch(error => {
+                this.addDebugMessage(`Send digits failed: ${error.message}`, 'error', 'toolkitCall');
+                this.showToast('Error', 'Failed to send keypad tones', 'error');
+                throw error;
+            });
+    }
+
+    handleKeypadPress(event) {
+        this.sendDtmf(event.currentTarget.dataset.digit).catch(() => {
+            // sendDtmf already reported the failure
+        });
+    }
+
+    handleKeypadKeydown(event) {
+        if (event.key === 'Escape') {
+            event.stopPropagation();
+            this.closeKeypad();
+            return;
+        }
+
+        // Let typing in the sequence field behave normally
+        if (event.target.tagName === 'LIGHTNING-INPUT' || event.target.closest('lightning-input')) {
+            return;
+        }
+
+        if (/^[0-9*#]$/.test(event.key)) {
+            event.preventDefault();
+            this.sendDtmf(event.key).catch(() => {
+                // sendDtmf already reported the failure
+            });
+        }
+    }
+
+    handleDtmfSequenceChange(event) {
+        this.dtmfSequence = event.target.value || '';
+    }
+
+    handleSendDtmfSequence() {
+        const sequence = this.dtmfSequence.replace(/[\s-]/g, '');
+        if (!this.isValidDtmfSequence(sequence)) {
+            this.showToast('Keypad', 'Sequences can contain 0-9, * and #, with commas for 2 second pauses', 'error');
+            return;
+        }
+
+        this.isSendingDtmfSequence = true;
+        this.addDebugMessage(`Sending DTMF sequence: ${sequence}`);
+        this.sendDtmfSequenceStep(sequence.split(''), 0);
+    }
+
+    sendDtmfSequenceStep(characters, index) {
+        if (!this.isSendingDtmfSequence) {
+            return;
+        }
+        if (index >= characters.length) {
+            this.isSendingDtmfSequence = false;
+            this.dtmfSequence = '';
+            this.addDebugMessage('DTMF sequence sent');
+            return;
+        }
+
+        const character = characters[index];
+        if (character === DTMF_PAUSE_CHARACTER) {
+            this.dtmfSequenceTimeout = setTimeout(() => this.sendDtmfSequenceStep(characters, index + 1), DTMF_PAUSE_MS);
+            return;
+        }
+
+        this.sendDtmf(character)
+            .then(() => {
+                this.dtmfSequenceTimeout = setTimeout(() => this.sendDtmfSequenceStep(characters, index + 1), DTMF_TONE_GAP_MS);
+            })
+            .catch(() => {
+                this.cancelDtmfSequence();
+            });
+    }
+
+    cancelDtmfSequence() {
+        if (this.dtmfSequenceTimeout) {
+            clearTimeout(this.dtmfSequenceTimeout);
+            this.dtmfSequenceTimeout = null;
+        }
+        if (this.isSendingDtmfSequence) {
+            this.addDebugMessage('DTMF sequence cancelled');
+        }
+        this.isSendingDtmfSequence = false;
+    }
+
+    isValidDtmfSequence(sequence) {
+        return /^[0-9*#,]+$/.test(sequence) && /[0-9*#]/.test(sequence);
+    }
+
+    closeKeypad() {
+        this.cancelDtmfSequence();
+        this.showKeypad = false;
+    }
+
+    // =====================================
+    // FLAG FOR REVIEW METHODS
+    // =====================================
+
+    closeFlagPopover() {
+        this.showFlagPopover = false;
+        this.flagReason = '';
+        this.flagNote = '';
+    }
+
+    handleFlagReasonChange(event) {
+        this.flagReason = event.detail.value;
+    }
+
+    handleFlagNoteChange(event) {
+        this.flagNote = event.target.value;
+    }
+
+    handleFlagPopoverKeydown(event) {
+        if (event.key === 'Escape') {
+            event.stopPropagation();
+            this.closeFlagPopover();
+        }
+    }
+
+    handleFlagSave() {
+        if (!this.flagReason) {
+            this.showToast('Error', 'Select a reason for flagging this call', 'error');
+            return;
+        }
+
+        this.isSavingFlag = true;
+        this.createCallReview(this.flagReason, this.flagNote, this.flagOffsetSeconds)
+            .then(() => {
+                const notified = this.supervisorId ? ' Your supervisor has been notified.' : '';
+                this.showToast('Call Flagged', `Flagged for ${this.flagReason.toLowerCase()} at ${this.flagOffsetLabel}.${notified}`, 'success');
+                this.closeFlagPopover();
+            })
+            .catch(() => {
+                this.showToast('Error', 'Failed to flag this call for review', 'error');
+            })
+            .finally(() => {
+                this.isSavingFlag = false;
+            });
+    }
+
+    // Create a review record for QA; the supervisor is notified by automation on the record
+    createCallReview(reason, notes, callOffsetSeconds) {
+        const fields = {
+            [CALL_REVIEW_FIELDS.voiceCall]: this.recordId,
+            [CALL_REVIEW_FIELDS.reason]: reason,
+            [CALL_REVIEW_FIELDS.notes]: notes,
+            [CALL_REVIEW_FIELDS.callOffsetSeconds]: callOffsetSeconds
+        };
+        if (this.supervisorId) {
+            fields[CALL_REVIEW_FIELDS.supervisor] = this.supervisorId;
+        }
+
+        this.addDebugMessage(`Creating ${CALL_REVIEW_OBJECT}: ${reason} at ${this.formatTime(callOffsetSeconds, true)}`, 'info', 'record');
+        return createRecord({ apiName: CALL_REVIEW_OBJECT, fields })
+            .then(record => {
+                this.addDebugMessage(`Call review created: ${record.id}`, 'info', 'record');
+                return record;
+            })
+            .catch(error => {
+                this.addDebugMessage(`Creating call review failed: ${error.body?.message || error.message}`, 'error', 'record');
+                throw error;
+            });
+    }
+
+    // =====================================
+    // PARTICIPANT (CALL LEG) METHODS
+    // =====================================
+
+    createParticipant({ id, role, label, phoneNumber = '', participantType }) {
+        return {
+            id: id,
+            role: role,
+            label: label,
+            phoneNumber: phoneNumber,
+            participantType: participantType,
+            isOnHold: false,
+            holdStart: null,
+            totalHoldTime: 0,
+            holdSessions: []
+        };
+    }
+
+    createCustomerParticipant() {
+        return this.createParticipant({
+            id: 'customer',
+            role: 'Customer',
+            label: this.getCallLabel(this.activeCallLabel),
+            phoneNumber: this.phoneNumber,
+            participantType: 'Initial_Caller'
+        });
+    }
+
+    getParticipantRole(detail) {
+        const type = (detail.contact?.type || detail.type || detail.role || '').toLowerCase();
+        if (type.includes('supervisor')) return 'Supervisor';
+        if (type === 'agent' || type === 'queue') return 'Agent';
+        return 'External';
+    }
+
+    findParticipant(participantId) {
+        return this.participants.find(participant => participant.id === participantId);
+    }
+
+    // Work out which leg a toolkit event refers to. Falls back to the leg the agent last acted on,
+    // then to the customer, because not every provider includes participant info in event details.
+    resolveEventParticipant(detail = {}) {
+        if (detail.participantId && this.findParticipant(detail.participantId)) {
+            this.pendingParticipantActionId = null;
+            return this.findParticipant(detail.participantId);
+        }
+        if (detail.participantType === 'Third_Party') {
+            this.pendingParticipantActionId = null;
+            return this.participants.find(participant => participant.role !== 'Customer') || null;
+        }
+        if (detail.participantType === 'Initial_Caller') {
+            this.pendingParticipantActionId = null;
+            return this.participants.find(participant => participant.role === 'Customer') || null;
+        }
+        if (this.pendingParticipantActionId) {
+            const participant = this.findParticipant(this.pendingParticipantActionId);
+            this.pendingParticipantActionId = null;
+            if (participant) return participant;
+        }
+        return this.participants.find(participant => participant.role === 'Customer') || null;
+    }
+
+    updateParticipant(participantId, changes) {
+        this.participants = this.participants.map(participant =>
+            participant.id === participantId ? { ...participant, ...changes } : participant
+        );
+        this.persistCallState();
+    }
+
+    startParticipantHold(participantId) {
+        const participant = this.findParticipant(participantId);
+        if (!participant || participant.isOnHold) {
+            this.addDebugMessage('Participant already on hold, ignoring duplicate hold event', 'warn', 'stateTransition');
+            return;
+        }
+
+        this.updateParticipant(participantId, { isOnHold: true, holdStart: Date.now() });
+        this.addDebugMessage(`Hold started for ${participant.role}: ${participant.label}`);
+    }
+
+    endParticipantHold(participantId) {
+        const participant = this.findParticipant(participantId);
+        if (!participant || !participant.isOnHold || !participant.holdStart) {
+            this.addDebugMessage('Participant not on hold, ignoring resume event', 'warn', 'stateTransition');
+            return;
+        }
+
+        const holdEndTime = Date.now();
+        const holdDuration = Math.floor((holdEndTime - participant.holdStart) / 1000);
+        this.updateParticipant(participantId, {
+            isOnHold: false,
+            holdStart: null,
+            totalHoldTime: participant.totalHoldTime + holdDuration,
+            holdSessions: [...participant.holdSessions, {
+                sessionNumber: participant.holdSessions.length + 1,
+                startTime: new Date(participant.holdStart).toISOString(),
+                endTime: new Date(holdEndTime).toISOString(),
+                duration: holdDuration
+            }]
+        });
+        this.addDebugMessage(`Hold ended for ${participant.role}: ${participant.label}. Session: ${holdDuration}s`);
+    }
+
+    getParticipantHoldTime(participant) {
+        const currentHold = participant.isOnHold && participant.holdStart
+            ? Math.floor((Date.now() - participant.holdStart) / 1000)
+            : 0;
+        return participant.totalHoldTime + currentHold;
+    }
+
+    handleParticipantHoldClick(event) {
+        const participant = this.findParticipant(event.currentTarget.dataset.id);
+        if (!participant) return;
+
+        // The customer leg is the call itself, so reuse the main hold control
+        if (participant.role === 'Customer') {
+            this.handleHoldClick();
+            return;
+        }
+
+        const method = participant.isOnHold ? 'resume' : 'hold';
+        this.pendingParticipantActionId = participant.id;
+        this.addDebugMessage(`Calling toolkit API ${method}(${participant.participantType}) for ${participant.label}`, 'info', 'toolkitCall');
+        this.invokeToolkitMethod(method, [participant.participantType])
+            .catch(error => {
+                this.pendingParticipantActionId = null;
+                this.addDebugMessage(`Participant ${method} failed: ${error.message}`, 'error', 'toolkitCall');
+                this.showToast('Error', `Failed to ${method} ${participant.label}`, 'error');
+            });
+    }
+
+    handleParticipantRemoveClick(event) {
+        const participant = this.findParticipant(event.currentTarget.dataset.id);
+        if (!participant || participant.role === 'Customer') return;
+
+        this.addDebugMessage(`Calling toolkit API endCall(${participant.participantType}) for ${participant.label}`, 'info', 'toolkitCall');
+        this.invokeToolkitMethod('endCall', [participant.participantType])
+            .catch(error => {
+                this.addDebugMessage(`Removing participant failed: ${error.message}`, 'error', 'toolkitCall');
+                this.showToast('Error', `Failed to remove ${participant.label}`, 'error');
+            });
+    }
+
+    handleMergeConference() {
+        this.addDebugMessage('Calling toolkit API conference()', 'info', 'toolkitCall');
+        this.invokeToolkitMethod('conference')
+            .then(() => {
+                // A conference takes every leg off hold
+                if (this.isOnHold) {
+                    this.transitionCallState('resume', {}, false);
+                }
+                this.participants
+                    .filter(participant => participant.role !== 'Customer' && participant.isOnHold)
+                    .forEach(participant => this.endParticipantHold(participant.id));
+                this.isConference = true;
+                this.transferStatus = 'Conference in progress';
+                this.persistCallState();
+                this.publishCallState('conference');
+                this.showToast('Conference Started', 'All participants are now connected', 'success');
+            })
+            .catch(error => {
+                this.addDebugMessage(`Conference action failed: ${error.message}`, 'error', 'toolkitCall');
+                this.showToast('Error', 'Failed to merge calls into a conference', 'error');
+            });
+    }
+
+    // Complete a consult transfer: join everyone, then drop the agent's own leg
+    handleCompleteTransfer() {
+        this.isTransferInProgress = true;
+        this.transferStatus = 'Completing transfer...';
+        this.addDebugMessage('Completing consult transfer - calling toolkit API conference() then endCall()', 'info', 'toolkitCall');
+
+        const merge = this.isConference ? Promise.resolve() : this.invokeToolkitMethod('conference');
+        merge
+            .then(() => this.invokeToolkitMethod('endCall'))
+            .then(() => {
+                this.showToast('Call Transferred', 'The transfer was completed', 'success');
+                this.transitionCallState('callended', {}, false);
+            })
+            .catch(error => {
+                this.transferStatus = '';
+                this.addDebugMessage(`Complete transfer failed: ${error.message}`, 'error', 'toolkitCall');
+                this.showToast('Error', 'Failed to complete the transfer', 'error');
+            })
+            .finally(() => {
+                this.isTransferInProgress = false;
+            });
+    }
+
     // =====================================
     // UTILITY METHODS
     // =====================================
 
     handleCallStarted() {
         this.addDebugMessage('Call connected to rep - starting call duration timer');
+        if (this.isInWrapUp) {
+            this.completeWrapUp(true);
+        }
         this.resetHoldTimer();
         this.isCallActive = true;
         this.callStatus = 'Connected';
+        this.muteStart = this.isMuted ? Date.now() : null;
+        this.totalMuteTime = 0;
+        this.isRecording = true;
+        this.recordingPausedAt = null;
+        this.recordingPauseReason = '';
+        this.recordingAudit = [];
+        this.resetCallQuality();
         
         // Set call start time to now (when actually connected to rep)
         this.callStartTime = new Date();
+
+        // The customer is always the first leg of the call
+        this.isConference = false;
+        this.participants = [this.createCustomerParticipant()];
         
         // Start the call duration timer now that call is connected
         this.startCallDurationTimer();
+        this.persistCallState();
+        this.publishCallState('connected');
         
         // Ensure component is visible now that call is active
         this.addDebugMessage('Call started - phone controls should now be visible');
     }
 
     finalizeCall() {
-        this.addDebugMessage('Call ended - finalizing timers and hiding controls');
+        if (this.callStatus === 'Ended') {
+            this.addDebugMessage('Call already finalized, ignoring duplicate end event', 'warn', 'general');
+            return;
+        }
+
+        this.addDebugMessage('Call ended - finalizing timers');
         this.isCallActive = false;
         this.callStatus = 'Ended';
         this.callEndDateTime = new Date(); // Mark call as ended now
         this.telephonyAvailable = false; // Mark telephony as no longer available
+        this.showTransferDialog = false;
+        this.showFlagPopover = false;
+        this.showCallbackPopover = false;
+        this.closeKeypad();
+        this.dtmfDigitsSent = '';
+        this.transferStatus = '';
+        this.isTransferInProgress = false;
         
         // End any active hold session
         if (this.isOnHold) {
             this.endHoldTimer();
         }
+        this.participants
+            .filter(participant => participant.role !== 'Customer' && participant.isOnHold)
+            .forEach(participant => this.endParticipantHold(participant.id));
+        this.isConference = false;
+        this.endMuteSession();
+        if (!this.isRecording) {
+            // Recording stops with the call, so close the trail off
+            this.clearRecordingAutoResume();
+            this.logRecordingAction('Ended', 'Call ended while recording was paused', true);
+        }
         
         this.cleanupTimers();
+        this.clearStoredCallState();
+        this.publishCallState('ended');
         this.showToast('Call Completed', `Total hold time: ${this.formattedTotalHoldTime}`, 'info');
+
+        // Only this record's call is saved to it; other concurrent calls have their own records
+        if (this.persistCallMetrics && this.isRecordCallInForeground) {
+            this.saveCallMetrics();
+        }
+        if (this.enableCallQuality && this.persistCallQuality && this.isRecordCallInForeground) {
+            this.saveCallQuality();
+        }
+
+        // Another call is still live, so it takes over the controls and wrap-up waits for the last call
+        const nextCall = this.backgroundCalls[this.backgroundCalls.length - 1];
+        if (nextCall) {
+            this.bringCallForward(nextCall);
+            this.publishCallState('callSwitched');
+            return;
+        }
+
+        // Calls that never connected have nothing to wrap up
+        if (this.enableWrapUp && this.recordId && this.callStartTime) {
+            this.startWrapUp();
+            return;
+        }
         
         // Component will now hide due to shouldShowControls returning false
         this.addDebugMessage('Phone controls will now be hidden - telephony session ended');
     }
 
+    endMuteSession() {
+        if (!this.muteStart) {
+            return;
+        }
+        this.totalMuteTime += Math.floor((Date.now() - this.muteStart) / 1000);
+        this.muteStart = null;
+    }
+
+    // Summarise what the timers measured during a call: the foreground call, or a background
+    // call's snapshot when it hangs up
+    buildCallMetrics(call = this.buildCallStateSnapshot()) {
+        const endedAt = call.endedAt || (this.callEndDateTime || new Date()).getTime();
+        const connectedSeconds = call.callStartTime
+            ? Math.floor((endedAt - call.callStartTime) / 1000)
+            : 0;
+        const holdSessions = [
+            ...call.holdSessions.map(session => ({ leg: 'Customer', ...session })),
+            ...call.participants
+                .filter(participant => participant.role !== 'Customer')
+                .flatMap(participant => participant.holdSessions.map(session => ({ leg: participant.role, ...session })))
+        ];
+
+        return {
+            holdCount: call.holdSessions.length,
+            totalHoldSeconds: call.totalHoldTime,
+            longestHoldSeconds: call.holdSessions.reduce((longest, session) => Math.max(longest, session.duration), 0),
+            muteSeconds: call.totalMuteTime,
+            talkSeconds: Math.max(0, connectedSeconds - call.totalHoldTime),
+            holdSessions: JSON.stringify(holdSessions)
+        };
+    }
+
+    saveCallMetrics(call = this.buildCallStateSnapshot()) {
+        if (!this.recordId || !call.callStartTime) {
+            this.addDebugMessage('Skipping call metrics save - call was never connected', 'warn', 'general');
+            return Promise.resolve();
+        }
+
+        const metrics = this.buildCallMetrics(call);
+        const fields = { Id: this.recordId };
+        Object.keys(CALL_METRIC_FIELDS).forEach(key => {
+            fields[CALL_METRIC_FIELDS[key]] = metrics[key];
+        });
+
+        this.addDebugMessage(`Saving call metrics: ${JSON.stringify({ ...metrics, holdSessions: undefined })}`, 'info', 'record');
+        return updateRecord({ fields })
+            .then(() => {
+                this.addDebugMessage('Call metrics saved to Voice Call record', 'info', 'record');
+            })
+            .catch(error => {
+                this.addDebugMessage(`Saving call metrics failed: ${error.body?.message || error.message}`, 'error', 'record');
+                this.showToast('Call Metrics Not Saved', 'Hold and talk time could not be saved to this Voice Call', 'warning');
+            });
+    }
+
     resetHoldTimer() {
         this.totalHoldTime = 0;
+        this.singleHoldAlertLevel = HOLD_ALERT_LEVELS.NONE;
+        this.cumulativeHoldAlertLevel = HOLD_ALERT_LEVELS.NONE;
         this.currentHoldStart = null;
         this.isOnHold = false;
         this.holdSessions = [];
@@ -639,6 +3058,10 @@ export default class UnifiedPhoneControls extends LightningElement {
     }
 
     cleanupTimers() {
+        this.cancelDtmfSequence();
+        this.clearRecordingAutoResume();
+        this.clearEndCallConfirm();
+
         if (this.callDurationInterval) {
             clearInterval(this.callDurationInterval);
             this.callDurationInterval = null;
@@ -652,46 +3075,124 @@ export default class UnifiedPhoneControls extends LightningElement {
         this.stopToolkitPolling();
     }
 
-    formatTime(seconds, includeHours = false) {
-        if (!seconds || seconds < 0) return includeHours ? '00:00:00' : '00:00';
-        
-        const hrs = Math.floor(seconds / 3600);
-        const mins = Math.floor((seconds % 3600) / 60);
-        const secs = seconds % 60;
-        
-        if (includeHours) {
-            return `${hrs.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-        } else {
-            return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-        }
+    // The simulator replaces the toolkit element while a simulated call is running
+    getToolkitApi() {
+        return this.telephonySimulator || this.template.querySelector('lightning-service-cloud-voice-toolkit-api');
+    }
+
+    // Call a toolkit API method and always get a Promise back, whether or not the method returns one
+    invokeToolkitMethod(methodName, args = []) {
+        const toolkitApi = this.getToolkitApi();
+
+        if (!toolkitApi) {
+            return Promise.reject(new Error('Telephony service not available'));
+        }
+        if (typeof toolkitApi[methodName] !== 'function') {
+            return Promise.reject(new Error(`${methodName}() is not supported by this telephony provider`));
+        }
+
+        try {
+            return Promise.resolve(toolkitApi[methodName](...args));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    formatTime(seconds, includeHours = false) {
+        if (!seconds || seconds < 0) return includeHours ? '00:00:00' : '00:00';
+        
+        const hrs = Math.floor(seconds / 3600);
+        const mins = Math.floor((seconds % 3600) / 60);
+        const secs = seconds % 60;
+        
+        if (includeHours) {
+            return `${hrs.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+        } else {
+            return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+        }
+    }
+
+    getHoldColorClass(duration) {
+        if (duration <= (Number(this.holdWarningSeconds) || 30)) return 'hold-timer-green';
+        if (duration <= (Number(this.holdCriticalSeconds) || 120)) return 'hold-timer-yellow';
+        return 'hold-timer-red';
+    }
+
+    /**
+     * Record a structured log entry with a snapshot of the call state it left behind.
+     * Nothing is kept unless debugMode or enableEventLog is on, and only debugMode writes to the console.
+     */
+    addDebugMessage(message, level = 'info', type = 'general', payload) {
+        if (!this.debugMode && !this.enableEventLog) {
+            return;
+        }
+
+        const entry = this.eventLog.add({
+            level,
+            type,
+            message,
+            payload,
+            state: {
+                callStatus: this.callStatus,
+                machineState: this.callStateMachine.state,
+                isOnHold: this.isOnHold,
+                isMuted: this.isMuted,
+                isRecording: this.isRecording,
+                callDurationSeconds: this.callDuration
+            }
+        });
+        this.eventLogVersion += 1;
+
+        if (this.debugMode) {
+            const consoleMethod = level === 'error' ? 'error' : level === 'warn' ? 'warn' : 'log';
+            console[consoleMethod](`UnifiedPhoneControls: [${entry.timestamp}] ${message}`, payload === undefined ? '' : payload);
+        }
+    }
+
+    // =====================================
+    // EVENT LOG METHODS
+    // =====================================
+
+    handleLogLevelFilterChange(event) {
+        this.logLevelFilter = event.detail.value;
+    }
+
+    handleLogTypeFilterChange(event) {
+        this.logTypeFilter = event.detail.value;
     }
 
-    getHoldColorClass(duration) {
-        if (duration <= 30) return 'hold-timer-green';
-        if (duration <= 120) return 'hold-timer-yellow';
-        return 'hold-timer-red';
+    handleDownloadLogJson() {
+        this.downloadLog(this.eventLog.exportJson(this.getFilteredLogEntries()), 'json', 'application/json');
     }
 
-    addDebugMessage(message) {
-        const timestamp = new Date().toISOString();
-        const debugEntry = `[${timestamp}] ${message}`;
-        this.debugMessages.unshift(debugEntry);
-        
-        // Keep only last 50 messages to prevent memory issues
-        if (this.debugMessages.length > 50) {
-            this.debugMessages = this.debugMessages.slice(0, 50);
-        }
-        
-        // Always log to console for debugging
-        console.log(`UnifiedPhoneControls: ${debugEntry}`);
+    handleDownloadLogCsv() {
+        this.downloadLog(this.eventLog.exportCsv(this.getFilteredLogEntries()), 'csv', 'text/csv');
+    }
+
+    handleClearLog() {
+        this.eventLog.clear();
+        this.eventLogVersion += 1;
+    }
+
+    // Oldest first in the file, matching the order events happened
+    getFilteredLogEntries() {
+        return this.eventLog.filter({ minLevel: this.logLevelFilter, type: this.logTypeFilter }).reverse();
+    }
+
+    downloadLog(content, extension, mimeType) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const link = document.createElement('a');
+        link.href = `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
+        link.download = `unified-phone-controls-log-${this.recordId || 'no-record'}-${timestamp}.${extension}`;
+        link.click();
     }
 
-    showToast(title, message, variant = 'info') {
+    showToast(title, message, variant = 'info', mode = 'dismissable') {
         const event = new ShowToastEvent({
             title: title,
             message: message,
             variant: variant,
-            mode: 'dismissable'
+            mode: mode
         });
         this.dispatchEvent(event);
     }
@@ -759,8 +3260,46 @@ export default class UnifiedPhoneControls extends LightningElement {
         return this.isMuted ? 'toolbar-button toolbar-button-active' : 'toolbar-button';
     }
 
+    get simulatorScriptOptions() {
+        return Object.keys(SIMULATOR_SCRIPTS).map(name => ({ label: SIMULATOR_SCRIPTS[name].label, value: name }));
+    }
+
+    // Reads eventLogVersion, so the panel re-renders whenever the log changes
     get showDebugPanel() {
-        return this.debugMode && this.debugMessages.length > 0;
+        return this.showEventLog && this.eventLogVersion > 0;
+    }
+
+    get showEventLog() {
+        return this.debugMode || this.enableEventLog;
+    }
+
+    get filteredLogEntries() {
+        return this.eventLog
+            .filter({ minLevel: this.logLevelFilter, type: this.logTypeFilter })
+            .slice(0, EVENT_LOG_DISPLAY_LIMIT)
+            .map(entry => ({
+                ...entry,
+                time: entry.timestamp.substring(11, 23),
+                levelLabel: entry.level.toUpperCase(),
+                rowClass: `debug-message debug-message-${entry.level}`,
+                payloadText: entry.payload === null ? '' : JSON.stringify(entry.payload)
+            }));
+    }
+
+    get hasFilteredLogEntries() {
+        return this.filteredLogEntries.length > 0;
+    }
+
+    get eventLogSummary() {
+        return `${this.eventLog.size} of ${EVENT_LOG_CAPACITY} entries kept`;
+    }
+
+    get logLevelOptions() {
+        return LOG_LEVELS.map(level => ({ label: `${level.charAt(0).toUpperCase()}${level.slice(1)} and above`, value: level }));
+    }
+
+    get logTypeOptions() {
+        return [{ label: 'All types', value: '' }, ...this.eventLog.types.map(type => ({ label: type, value: type }))];
     }
 
     get hasHoldSessions() {
@@ -783,6 +3322,30 @@ export default class UnifiedPhoneControls extends LightningElement {
         return `${position} ${background}`;
     }
 
+    get dispositionOptions() {
+        return (this.dispositionCodes || '')
+            .split(',')
+            .map(code => code.trim())
+            .filter(code => code)
+            .map(code => ({ label: code, value: code }));
+    }
+
+    get formattedAcwTime() {
+        return this.formatTime(this.acwSeconds);
+    }
+
+    get isCompleteWrapUpDisabled() {
+        return !this.wrapUpDisposition || this.isSavingWrapUp;
+    }
+
+    get wrapUpAutoCompleteMessage() {
+        const autoCompleteSeconds = Number(this.wrapUpAutoCompleteSeconds) || 0;
+        if (autoCompleteSeconds <= 0 || this.wrapUpSaveFailed) {
+            return '';
+        }
+        return `Completes automatically in ${this.formatTime(Math.max(0, autoCompleteSeconds - this.acwSeconds))}`;
+    }
+
     get shouldShowControls() {
         // Only show phone controls when agent is actively on a live call:
         // 1. Telephony service must be available (indicating live call session)
@@ -792,43 +3355,36 @@ export default class UnifiedPhoneControls extends LightningElement {
         
         // Must have a Voice Call record ID
         if (!this.recordId) {
-            console.log('UnifiedPhoneControls: Hiding controls - no Voice Call record');
             return false;
         }
         
         // Primary requirement: Telephony must be available (indicates live call)
         if (!this.telephonyAvailable) {
-            console.log('UnifiedPhoneControls: Hiding controls - no active telephony session');
             return false;
         }
         
         // Never show for "No Call" state
         if (this.callStatus === 'No Call') {
-            console.log('UnifiedPhoneControls: Hiding controls - no active call');
             return false;
         }
         
         // Don't show if call has definitively ended
         if (this.callStatus === 'Ended') {
-            console.log('UnifiedPhoneControls: Hiding controls - call has ended');
             return false;
         }
         
         // Show only for truly active call states
         const activeStates = ['Connected', 'On Hold'];
         if (activeStates.includes(this.callStatus)) {
-            console.log('UnifiedPhoneControls: Showing controls - active call state:', this.callStatus);
             return true;
         }
         
         // "Incoming" state only shows if call is actually active
         if (this.callStatus === 'Incoming' && this.isCallActive) {
-            console.log('UnifiedPhoneControls: Showing controls - incoming active call');
             return true;
         }
         
         // Hide by default - wait for call to actually start
-        console.log('UnifiedPhoneControls: Hiding controls - waiting for active call, status:', this.callStatus);
         return false;
     }
 
@@ -850,40 +3406,394 @@ export default class UnifiedPhoneControls extends LightningElement {
         return this.isFloating ? 'Dock Panel' : 'Pop Out';
     }
 
+    // Keyboard shortcut computed properties
+    get activeShortcuts() {
+        return this.keyboardShortcuts.filter(entry => !entry.conflict);
+    }
+
+    get shortcutRows() {
+        return [
+            ...this.keyboardShortcuts.map(entry => ({
+                ...entry,
+                rowClass: entry.conflict ? 'shortcut-row shortcut-row-disabled' : 'shortcut-row'
+            })),
+            { action: 'help', label: 'Show / Hide Shortcuts', keys: SHORTCUT_HELP_KEYS, conflict: '', rowClass: 'shortcut-row' }
+        ];
+    }
+
+    get hasShortcutConflicts() {
+        return this.keyboardShortcuts.some(entry => entry.conflict && entry.shortcut);
+    }
+
+    get shortcutHelpIcon() {
+        return this.hasShortcutConflicts ? 'utility:warning' : 'utility:help';
+    }
+
+    get shortcutHelpClass() {
+        return this.isFloating ? 'slds-popover shortcut-help shortcut-help-floating' : 'slds-popover shortcut-help';
+    }
+
+    get shortcutHelpStyle() {
+        return this.isFloating ? `transform: translate(${this.miniBarX}px, ${this.miniBarY}px);` : '';
+    }
+
+    // Recording computed properties
+    get recordingAutoResumeMs() {
+        return Math.max(0, Number(this.recordingAutoResumeSeconds) || 0) * 1000;
+    }
+
+    get recordingPauseOptions() {
+        return RECORDING_PAUSE_REASONS.map(reason => ({ label: reason, value: reason }));
+    }
+
+    get showRecordingPauseMenu() {
+        return this.enableRecordingControls && this.isRecording;
+    }
+
+    get showRecordingResumeButton() {
+        return this.enableRecordingControls && !this.isRecording;
+    }
+
+    get recordingIndicatorClass() {
+        return this.isRecording ? 'recording-indicator recording-indicator-live' : 'recording-indicator recording-indicator-paused';
+    }
+
+    get recordingIndicatorLabel() {
+        if (this.isRecording) {
+            return 'REC';
+        }
+        // callDuration ticks every second, so the countdown stays current
+        if (this.recordingPausedAt && this.recordingAutoResumeMs && this.callDuration >= 0) {
+            const remaining = Math.max(0, Math.ceil((this.recordingPausedAt + this.recordingAutoResumeMs - Date.now()) / 1000));
+            return `Paused · resumes in ${this.formatTime(remaining)}`;
+        }
+        return 'Paused';
+    }
+
+    get recordingIndicatorTitle() {
+        return this.isRecording ? 'Call is being recorded' : `Recording paused: ${this.recordingPauseReason}`;
+    }
+
+    // DTMF keypad computed properties
+    get dtmfKeys() {
+        return DTMF_KEYS;
+    }
+
+    get keypadPanelClass() {
+        return this.isFloating ? 'slds-popover keypad-panel keypad-panel-floating' : 'slds-popover keypad-panel';
+    }
+
+    get keypadPanelStyle() {
+        return this.isFloating ? `transform: translate(${this.miniBarX}px, ${this.miniBarY}px);` : '';
+    }
+
+    get keypadToolbarClass() {
+        return this.showKeypad ? 'toolbar-button toolbar-button-active' : 'toolbar-button';
+    }
+
+    get isSendDtmfSequenceDisabled() {
+        return !this.dtmfSequence || this.isSendingDtmfSequence;
+    }
+
+    // Flag for review computed properties
+    get flagReasonOptions() {
+        return FLAG_REASONS.map(reason => ({ label: reason, value: reason }));
+    }
+
+    get flagOffsetLabel() {
+        return this.formatTime(this.flagOffsetSeconds, true);
+    }
+
+    get isFlagSaveDisabled() {
+        return !this.flagReason || this.isSavingFlag;
+    }
+
+    get flagPopoverClass() {
+        return this.isFloating ? 'slds-popover flag-popover flag-popover-floating' : 'slds-popover flag-popover';
+    }
+
+    get flagPopoverStyle() {
+        // Follow the mini-bar when it has been dragged
+        return this.isFloating ? `transform: translate(${this.miniBarX}px, ${this.miniBarY}px);` : '';
+    }
+
+    get flagToolbarClass() {
+        return this.showFlagPopover ? 'toolbar-button toolbar-button-active' : 'toolbar-button';
+    }
+
+    // Call quality computed properties
+    get latestQualitySample() {
+        return this.callQualitySamples.length ? this.callQualitySamples[this.callQualitySamples.length - 1] : null;
+    }
+
+    get callQualityIndicatorClass() {
+        return `call-quality call-quality-${this.callQualityLevel}`;
+    }
+
+    get callQualityTitle() {
+        const sample = this.latestQualitySample;
+        if (!sample) {
+            return 'Call quality: waiting for audio stats';
+        }
+        const level = `${sample.level.charAt(0).toUpperCase()}${sample.level.slice(1)}`;
+        const channels = sample.channels.map(channel => `${channel.label}: ${this.describeQualityChannel(channel)}`);
+        return [`Call quality: ${level}`, ...channels].join('. ');
+    }
+
+    // Caller region and lookup computed properties
+    get callerRegionFlag() {
+        return this.phoneNumberInfo?.flag || '';
+    }
+
+    get callerRegionName() {
+        const region = this.phoneNumberInfo?.region;
+        if (!region) {
+            return '';
+        }
+        try {
+            return new Intl.DisplayNames([LOCALE], { type: 'region' }).of(region);
+        } catch (error) {
+            return region;
+        }
+    }
+
+    get callerMatch() {
+        return this.callerMatches.length ? this.callerMatches[0] : null;
+    }
+
+    get callerName() {
+        return this.callerMatch ? this.callerMatch.name : '';
+    }
+
+    get callerRecordUrl() {
+        return this.callerMatch ? `/lightning/r/${this.callerMatch.objectApiName}/${this.callerMatch.id}/view` : '';
+    }
+
+    get callerDetail() {
+        if (!this.callerMatch) {
+            return '';
+        }
+        const others = this.callerMatches.length - 1;
+        return others > 0 ? `${this.callerMatch.detail} · ${others} more match${others === 1 ? '' : 'es'}` : this.callerMatch.detail;
+    }
+
+    get callerOpenCases() {
+        return this.callerMatch ? this.callerMatch.openCases : [];
+    }
+
+    get hasCallerOpenCases() {
+        return this.callerOpenCases.length > 0;
+    }
+
+    get callerOpenCasesLabel() {
+        const count = this.callerOpenCases.length;
+        return `${count}${count === OPEN_CASE_LIMIT ? '+' : ''} open case${count === 1 ? '' : 's'}`;
+    }
+
+    // Outbound dial computed properties
+    get showOutboundDial() {
+        return this.enableOutboundDial && !!this.recordId;
+    }
+
+    get callerIdOptions() {
+        return [
+            { label: 'Default caller ID', value: '' },
+            ...this.callerIds.map(number => ({ label: this.formatPhoneNumber(number), value: number }))
+        ];
+    }
+
+    get hasCallerIds() {
+        return this.callerIds.length > 0;
+    }
+
+    get hasRecentNumbers() {
+        return this.recentNumbers.length > 0;
+    }
+
+    get recentNumberRows() {
+        return this.recentNumbers.map(entry => ({
+            number: entry.number,
+            label: this.formatPhoneNumber(entry.number),
+            dialedAt: new Date(entry.dialedAt).toLocaleString()
+        }));
+    }
+
+    get isDialDisabled() {
+        return !this.dialNumber || this.isDialing;
+    }
+
+    // Callback computed properties
+    get callbackPopoverClass() {
+        return this.isFloating ? 'slds-popover callback-popover callback-popover-floating' : 'slds-popover callback-popover';
+    }
+
+    get callbackPopoverStyle() {
+        return this.flagPopoverStyle;
+    }
+
+    get callbackToolbarClass() {
+        return this.showCallbackPopover ? 'toolbar-button toolbar-button-active' : 'toolbar-button';
+    }
+
+    get callbackMinDateTime() {
+        return new Date().toISOString();
+    }
+
+    get isCallbackSaveDisabled() {
+        return !this.callbackDateTime || this.isSavingCallback;
+    }
+
+    // Transfer dialog computed properties
+    get transferTypeOptions() {
+        return [
+            { label: 'Blind Transfer', value: 'blind' },
+            { label: 'Consult First', value: 'consult' }
+        ];
+    }
+
+    get isExternalTransferTab() {
+        return this.transferTargetTab === 'PhoneNumber';
+    }
+
+    get filteredTransferTargets() {
+        const searchTerm = this.transferSearchTerm.trim().toLowerCase();
+        const tabTypes = this.isExternalTransferTab ? ['PhoneBook', 'PhoneNumber'] : [this.transferTargetTab];
+
+        return this.transferContacts
+            .filter(contact => tabTypes.includes(contact.type))
+            // Only offer agents that are currently available to take the call
+            .filter(contact => contact.type !== 'Agent' || !contact.availability || contact.availability.toUpperCase() === 'AVAILABLE')
+            .filter(contact => !searchTerm ||
+                contact.label.toLowerCase().includes(searchTerm) ||
+                contact.phoneNumber.includes(searchTerm))
+            .map(contact => ({
+                ...contact,
+                isSelected: contact.id === this.selectedTransferTargetId,
+                itemClass: contact.id === this.selectedTransferTargetId ? 'transfer-target transfer-target-selected' : 'transfer-target'
+            }));
+    }
+
+    get hasTransferTargets() {
+        return this.filteredTransferTargets.length > 0;
+    }
+
+    get showNoTransferTargetsMessage() {
+        // The external number tab always offers free-form entry, so an empty phone book isn't worth a message
+        return !this.isExternalTransferTab && !this.hasTransferTargets;
+    }
+
+    get transferSubmitLabel() {
+        return this.transferType === 'blind' ? 'Transfer' : 'Consult';
+    }
+
+    get isTransferSubmitDisabled() {
+        if (this.isExternalTransferTab && this.externalTransferNumber) {
+            return !this.isValidTransferNumber(this.externalTransferNumber);
+        }
+        return !this.selectedTransferTargetId;
+    }
+
+    // Participant panel computed properties
+    get isRecordCallInForeground() {
+        return !this.recordCallId || this.activeCallId === this.recordCallId;
+    }
+
+    get callCount() {
+        return (this.isCallActive ? 1 : 0) + this.backgroundCalls.length;
+    }
+
+    get hasConcurrentCalls() {
+        return this.backgroundCalls.length > 0;
+    }
+
+    get activeCallPhoneNumber() {
+        return this.activeCallLabel || this.displayPhoneNumber;
+    }
+
+    // One row per live call, foreground first; background times are worked out from their snapshots
+    get callSwitcherRows() {
+        const foreground = {
+            callId: this.activeCallId || 'foreground',
+            label: this.getCallLabel(this.activeCallLabel),
+            statusLabel: this.isOnHold ? 'On Hold' : this.callStatus,
+            formattedCallTime: this.formattedCallDuration,
+            formattedHoldTime: this.formatTime(this.getTotalHoldTime()),
+            isForeground: true,
+            rowClass: 'call-switcher-row call-switcher-row-active'
+        };
+        const background = this.backgroundCalls.map(call => {
+            const { durationSeconds, holdSeconds } = measureCall(call.snapshot);
+            const label = this.getCallLabel(call.snapshot.callLabel);
+            return {
+                callId: call.callId,
+                label: label,
+                statusLabel: call.snapshot.isOnHold ? 'On Hold' : call.snapshot.callStatus,
+                formattedCallTime: this.formatTime(durationSeconds, true),
+                formattedHoldTime: this.formatTime(holdSeconds),
+                isForeground: false,
+                rowClass: call.snapshot.isOnHold ? 'call-switcher-row call-switcher-row-held' : 'call-switcher-row',
+                switchTitle: `Switch to ${label} (on hold ${this.formatTime(holdSeconds)})`
+            };
+        });
+        return [foreground, ...background];
+    }
+
+    get backgroundCallRows() {
+        return this.callSwitcherRows.filter(row => !row.isForeground);
+    }
+
+    get hasThirdPartyParticipants() {
+        return this.participants.some(participant => participant.role !== 'Customer');
+    }
+
+    get participantRows() {
+        return this.participants.map(participant => {
+            const isCustomer = participant.role === 'Customer';
+            const isOnHold = isCustomer ? this.isOnHold : participant.isOnHold;
+            const holdSeconds = isCustomer ? this.getTotalHoldTime() : this.getParticipantHoldTime(participant);
+            return {
+                ...participant,
+                isOnHold: isOnHold,
+                canRemove: !isCustomer,
+                statusLabel: isOnHold ? 'On Hold' : 'Connected',
+                formattedHoldTime: this.formatTime(holdSeconds),
+                holdTimeClass: `participant-hold-time ${this.getHoldColorClass(holdSeconds)}`,
+                holdIcon: isOnHold ? 'utility:play' : 'utility:paused_call',
+                holdTitle: isOnHold ? `Resume ${participant.label}` : `Hold ${participant.label}`,
+                removeTitle: `Remove ${participant.label}`,
+                rowClass: isOnHold ? 'participant-row participant-row-held' : 'participant-row'
+            };
+        });
+    }
+
+    get showConsultActions() {
+        return this.hasThirdPartyParticipants && !this.isTransferInProgress;
+    }
+
+    get showMergeAction() {
+        return this.showConsultActions && !this.isConference;
+    }
+
+    get transferProgressClass() {
+        return this.isTransferInProgress ? 'transfer-progress transfer-progress-pending' : 'transfer-progress';
+    }
+
     // Dynamic toolbar styling based on configuration
     get toolbarBackgroundStyle() {
-        switch (this.toolbarStyle.toLowerCase()) {
-            case 'modern':
-                return 'background: linear-gradient(145deg, rgba(0, 0, 0, 0.85) 0%, rgba(0, 0, 0, 0.9) 100%);';
-            
-            case 'classic':
-                return 'background: rgba(0, 0, 0, 0.8);';
-            
-            case 'minimal':
-                return 'background: linear-gradient(145deg, rgba(255, 255, 255, 0.95) 0%, rgba(248, 249, 250, 0.9) 100%); border: 1px solid #e5e7eb;';
-            
-            case 'custom':
-                // Use custom color with automatic gradient generation
-                const customColor = this.toolbarBackgroundColor || 'rgba(0, 0, 0, 0.85)';
-                if (customColor.includes('gradient') || customColor.includes('linear-gradient')) {
-                    return `background: ${customColor};`;
-                } else {
-                    // Create a subtle gradient from the custom color
-                    return `background: linear-gradient(145deg, ${customColor} 0%, ${this.darkenColor(customColor, 0.1)} 100%);`;
-                }
-            
-            default:
-                return 'background: linear-gradient(145deg, rgba(0, 0, 0, 0.85) 0%, rgba(0, 0, 0, 0.9) 100%);';
-        }
+        return this.theme ? this.theme.style : '';
     }
 
+    // Icon and text colors follow the resolved background rather than the preset name
     get toolbarTextColorClass() {
-        switch (this.toolbarStyle.toLowerCase()) {
-            case 'minimal':
-                return 'toolbar-light-theme';
-            default:
-                return 'toolbar-dark-theme';
+        return this.theme && this.theme.tone === 'light' ? 'toolbar-light-theme' : 'toolbar-dark-theme';
+    }
+
+    get themeSummary() {
+        if (!this.theme) {
+            return '';
         }
+        const ratios = this.theme.checks.map(check => `${check.token} ${check.ratio}:1${check.adjusted ? ' (adjusted)' : ''}`);
+        return `${this.theme.preset}${this.isDarkMode ? ', dark mode' : ''} - ${ratios.join(', ')}`;
     }
 
     get toolbarCssClasses() {
@@ -898,35 +3808,6 @@ export default class UnifiedPhoneControls extends LightningElement {
         return `${baseClass} ${themeClass}`;
     }
 
-    // Helper method to darken colors for gradient effect
-    darkenColor(color, amount) {
-        // Simple approach: if it's rgba, reduce the alpha slightly or adjust RGB values
-        if (color.startsWith('rgba')) {
-            // Extract rgba values and darken slightly
-            const match = color.match(/rgba?\(([^)]+)\)/);
-            if (match) {
-                const values = match[1].split(',').map(v => v.trim());
-                if (values.length >= 3) {
-                    const r = Math.max(0, parseInt(values[0]) * (1 - amount));
-                    const g = Math.max(0, parseInt(values[1]) * (1 - amount));
-                    const b = Math.max(0, parseInt(values[2]) * (1 - amount));
-                    const a = values[3] || '1';
-                    return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${a})`;
-                }
-            }
-        } else if (color.startsWith('#')) {
-            // Handle hex colors
-            const hex = color.slice(1);
-            const r = Math.max(0, parseInt(hex.substr(0, 2), 16) * (1 - amount));
-            const g = Math.max(0, parseInt(hex.substr(2, 2), 16) * (1 - amount));
-            const b = Math.max(0, parseInt(hex.substr(4, 2), 16) * (1 - amount));
-            return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
-        }
-        
-        // Fallback: return original color
-        return color;
-    }
-
     // Hold Details toggle method
     toggleHoldDetails() {
         this.showHoldDetails = !this.showHoldDetails;
@@ -936,6 +3817,8 @@ export default class UnifiedPhoneControls extends LightningElement {
     // Pop-out / Dock toggle method
     toggleFloating() {
         this.isFloating = !this.isFloating;
+        this.miniBarPlacementPending = this.isFloating;
+        this.saveMiniBarPreference();
         this.addDebugMessage(`Component ${this.isFloating ? 'popped out' : 'docked back'}`);
     }
 
@@ -953,6 +3836,7 @@ export default class UnifiedPhoneControls extends LightningElement {
         }
         
         this.isDragging = true;
+        this.miniBarGeometry = this.measureMiniBar();
         const clientX = event.clientX || (event.touches && event.touches[0].clientX) || 0;
         const clientY = event.clientY || (event.touches && event.touches[0].clientY) || 0;
         
@@ -974,20 +3858,211 @@ export default class UnifiedPhoneControls extends LightningElement {
         const clientX = event.clientX || (event.touches && event.touches[0].clientX) || 0;
         const clientY = event.clientY || (event.touches && event.touches[0].clientY) || 0;
         
-        // Direct position calculation - no restrictions, full freedom
-        this.miniBarX = clientX - this.dragStartX;
-        this.miniBarY = clientY - this.dragStartY;
+        const geometry = this.miniBarGeometry;
+        const offsetX = clientX - this.dragStartX;
+        const offsetY = clientY - this.dragStartY;
+        if (geometry) {
+            // Keep the whole bar on screen while it moves
+            this.setMiniBarPosition(clampPosition({
+                left: geometry.base.left + offsetX,
+                top: geometry.base.top + offsetY
+            }, geometry.size, geometry.viewport), geometry);
+        } else {
+            this.miniBarX = offsetX;
+            this.miniBarY = offsetY;
+        }
         
         event.preventDefault();
     }
 
     handleDragEnd() {
+        const wasDragging = this.isDragging;
         this.isDragging = false;
         
         document.removeEventListener('mousemove', this.boundHandleDrag);
         document.removeEventListener('mouseup', this.boundHandleDragEnd);
         document.removeEventListener('touchmove', this.boundHandleDrag);
         document.removeEventListener('touchend', this.boundHandleDragEnd);
+
+        const geometry = this.miniBarGeometry;
+        this.miniBarGeometry = null;
+        if (!wasDragging || !geometry) {
+            return;
+        }
+
+        const position = snapToEdges(this.getMiniBarPosition(geometry), geometry.size, geometry.viewport);
+        this.setMiniBarPosition(position, geometry);
+        this.rememberMiniBarPosition(position, geometry);
+    }
+
+    // =====================================
+    // THEME METHODS
+    // =====================================
+
+    initializeTheme() {
+        if (this.followDarkMode && window.matchMedia) {
+            this.darkModeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+            this.isDarkMode = this.darkModeQuery.matches;
+            this.boundHandleColorSchemeChange = this.handleColorSchemeChange.bind(this);
+            this.darkModeQuery.addEventListener('change', this.boundHandleColorSchemeChange);
+        }
+        this.applyTheme();
+    }
+
+    handleColorSchemeChange(event) {
+        this.isDarkMode = event.matches;
+        this.addDebugMessage(`Color scheme changed to ${this.isDarkMode ? 'dark' : 'light'}`, 'info', 'general');
+        this.applyTheme();
+    }
+
+    applyTheme() {
+        const overrides = parseThemeTokens(this.themeTokens);
+        if (overrides.error) {
+            this.addDebugMessage(overrides.error, 'warn', 'general');
+        }
+
+        // Styling hooks are read from the page so org theme colors are contrast-checked too
+        const hostStyle = window.getComputedStyle(this.template.host);
+        this.theme = resolveTheme({
+            preset: this.toolbarStyle || 'modern',
+            tokens: overrides.tokens,
+            darkTokens: overrides.darkTokens,
+            backgroundColor: this.toolbarBackgroundColor,
+            darkMode: this.isDarkMode,
+            resolveVariable: name => hostStyle.getPropertyValue(name).trim()
+        });
+        this.theme.warnings.forEach(warning => this.addDebugMessage(`Theme: ${warning}`, 'warn', 'general'));
+        this.addDebugMessage(`Theme applied: ${this.themeSummary}`, 'debug', 'general', this.theme.tokens);
+    }
+
+    // =====================================
+    // MINI-BAR PLACEMENT METHODS
+    // =====================================
+
+    get miniBarStorageKey() {
+        return `${MINI_BAR_STORAGE_PREFIX}${USER_ID}`;
+    }
+
+    readMiniBarPreference() {
+        try {
+            const stored = window.localStorage.getItem(this.miniBarStorageKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            this.addDebugMessage(`Unable to read mini-bar preference: ${error.message}`, 'warn', 'general');
+            return {};
+        }
+    }
+
+    saveMiniBarPreference() {
+        const stored = this.readMiniBarPreference();
+        const placements = { ...(stored.placements || {}) };
+        if (this.miniBarPlacement) {
+            placements[this.miniBarScreenKey] = this.miniBarPlacement;
+        }
+
+        try {
+            window.localStorage.setItem(this.miniBarStorageKey, JSON.stringify({
+                isFloating: this.isFloating,
+                placements: placements,
+                lastScreen: this.miniBarScreenKey
+            }));
+        } catch (error) {
+            this.addDebugMessage(`Unable to store mini-bar preference: ${error.message}`, 'warn', 'general');
+        }
+    }
+
+    restoreMiniBarPreference() {
+        const stored = this.readMiniBarPreference();
+        this.isFloating = !!stored.isFloating;
+        this.miniBarScreenKey = getScreenKey(window.screen);
+        this.miniBarPlacement = this.findStoredPlacement(stored);
+        this.miniBarPlacementPending = this.isFloating;
+    }
+
+    // A screen seen before gets its own spot; a new one starts from the last spot used
+    findStoredPlacement(stored) {
+        const placements = stored.placements || {};
+        return placements[this.miniBarScreenKey] || placements[stored.lastScreen] || null;
+    }
+
+    /**
+     * Size of the bar and its default spot (fixed 1rem from the bottom-right corner).
+     * Offsets are used rather than getBoundingClientRect so an unfinished transform transition
+     * doesn't skew the result.
+     */
+    measureMiniBar() {
+        const bar = this.template.querySelector('.mini-bar');
+        if (!bar) {
+            return null;
+        }
+
+        const viewport = {
+            width: document.documentElement.clientWidth || window.innerWidth,
+            height: document.documentElement.clientHeight || window.innerHeight
+        };
+        const size = { width: bar.offsetWidth, height: bar.offsetHeight };
+        return {
+            viewport: viewport,
+            size: size,
+            base: {
+                left: viewport.width - size.width - EDGE_MARGIN_PX,
+                top: viewport.height - size.height - EDGE_MARGIN_PX
+            }
+        };
+    }
+
+    getMiniBarPosition(geometry) {
+        return { left: geometry.base.left + this.miniBarX, top: geometry.base.top + this.miniBarY };
+    }
+
+    setMiniBarPosition(position, geometry) {
+        this.miniBarX = Math.round(position.left - geometry.base.left);
+        this.miniBarY = Math.round(position.top - geometry.base.top);
+    }
+
+    rememberMiniBarPosition(position, geometry) {
+        this.miniBarPlacement = toEdgePlacement(position, geometry.size, geometry.viewport);
+        this.saveMiniBarPreference();
+        this.addDebugMessage(`Mini-bar moved to ${this.miniBarPlacement.vertical} ${this.miniBarPlacement.horizontal}`, 'debug', 'general', this.miniBarPlacement);
+    }
+
+    // Put the bar at its stored spot for this screen, or keep it where it is, clamped to fit
+    applyMiniBarPlacement() {
+        const geometry = this.measureMiniBar();
+        if (!geometry) {
+            return;
+        }
+
+        const position = this.miniBarPlacement
+            ? fromEdgePlacement(this.miniBarPlacement, geometry.size, geometry.viewport)
+            : clampPosition(this.getMiniBarPosition(geometry), geometry.size, geometry.viewport);
+        this.setMiniBarPosition(position, geometry);
+    }
+
+    handleWindowResize() {
+        // Moving the window to another monitor changes the screen; use that screen's spot if it has one
+        const screenKey = getScreenKey(window.screen);
+        if (screenKey !== this.miniBarScreenKey) {
+            this.miniBarScreenKey = screenKey;
+            this.miniBarPlacement = this.findStoredPlacement(this.readMiniBarPreference()) || this.miniBarPlacement;
+        }
+        if (this.isFloating && !this.isDragging) {
+            this.applyMiniBarPlacement();
+        }
+    }
+
+    // Arrow keys on the drag handle move the bar for agents who can't drag
+    handleMiniBarKeydown(event) {
+        const geometry = this.measureMiniBar();
+        const position = geometry ? moveByKey(event, this.getMiniBarPosition(geometry), geometry.size, geometry.viewport) : null;
+        if (!position) {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+        this.setMiniBarPosition(position, geometry);
+        this.rememberMiniBarPosition(position, geometry);
     }
 
     // Public API methods